@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+// Prints the dashboard summary and insights for a CSV export without a browser.
+//
+//   npm run report -- path/to/export.csv [--format markdown|json]
+//
+// Exports that don't use the bundled column names are mapped automatically the same
+// way the import wizard pre-fills its choices.
+
+import { readFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { csvParse } from 'd3-dsv';
+import { DatasetValidationError, parseEpisodes } from '../src/lib/parseEpisodes.js';
+import {
+  detectDurationFormat,
+  detectMapping,
+  hasCanonicalHeaders,
+  missingRequiredFields,
+  readHeaders,
+} from '../src/lib/columnMapping.js';
+import { analyzeEpisodes } from '../src/lib/analytics.js';
+import { keyFindings } from '../src/lib/insightEngine.js';
+import { formatCoefficient, formatPValue } from '../src/lib/correlation.js';
+
+const FORMATS = ['markdown', 'json'];
+
+const USAGE = 'Usage: npm run report -- <file.csv> [--format markdown|json]';
+
+const parseOptionsFor = (contents) => {
+  const headers = readHeaders(contents);
+  if (hasCanonicalHeaders(headers)) {
+    return {};
+  }
+  const mapping = detectMapping(headers);
+  const missing = missingRequiredFields(mapping);
+  if (missing.length) {
+    throw new Error(
+      `Couldn’t match columns for ${missing.map((field) => field.label).join(', ')}. Rename them to the bundled schema (see README).`,
+    );
+  }
+  const durationValues = csvParse(contents)
+    .slice(0, 20)
+    .map((record) => record[mapping.duration]);
+  return { mapping, durationFormat: detectDurationFormat(mapping.duration, durationValues) };
+};
+
+const orDash = (value, format) => (value === null ? '—' : format(value));
+
+// "ρ 0.85 (95% CI 0.76 to 0.90), r 0.64, p < 0.001, strong positive"
+const describeStats = ({ pearson, spearman, strength, direction, significant }) =>
+  [
+    `ρ ${formatCoefficient(spearman.coefficient)}${
+      spearman.interval ? ` (95% CI ${spearman.interval.map(formatCoefficient).join(' to ')})` : ''
+    }`,
+    `r ${formatCoefficient(pearson.coefficient)}`,
+    spearman.pValue === null ? null : formatPValue(spearman.pValue),
+    strength === 'negligible' ? strength : `${strength} ${direction}`,
+    significant ? null : 'not significant',
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+const SUMMARY_ROWS = [
+  ['Total episodes', (s) => s.totalEpisodes.toLocaleString()],
+  ['Average downloads', (s) => Math.round(s.averageDownloads).toLocaleString()],
+  ['Average completion', (s) => `${(s.averageCompletionRate * 100).toFixed(1)}%`],
+  ['Average duration', (s) => `${s.averageDuration.toFixed(1)} min`],
+  ['Total subscribers', (s) => s.totalSubscribers.toLocaleString()],
+  ['Comparison', (s) => s.comparison.labels.caption],
+  ['Downloads change', (s) => orDash(s.downloadsGrowthPercent, (value) => `${value.toFixed(1)}%`)],
+  ['Completion change', (s) => orDash(s.completionRateChange, (value) => `${value.toFixed(1)} pts`)],
+  ['Shares ↔ subscribers', (s) => describeStats(s.correlations.sharesSubscribers)],
+  ['Duration ↔ completion', (s) => describeStats(s.correlations.durationCompletion)],
+];
+
+const FORECAST_SERIES = [
+  ['downloads', 'Downloads'],
+  ['subscribers', 'Total subscribers'],
+];
+
+const forecastLine = (label, series) => {
+  if (!series) {
+    return `- ${label}: not enough history`;
+  }
+  const last = series.points[series.points.length - 1];
+  const round = (value) => Math.round(value).toLocaleString();
+  const backtest = series.backtest
+    ? `; backtest error ${series.backtest.mape.toFixed(1)}% over the last ${series.backtest.episodes} episodes`
+    : '';
+  return `- ${label} by episode ${last.episode}: ${round(last.value)} (95% range ${round(last.lower)}–${round(last.upper)})${backtest}`;
+};
+
+// "- Robotics (18 episodes): 4,812 avg downloads, 72.4% completion, 9.8 subs per 1k downloads"
+const topicLine = ({ name, count, metrics }) =>
+  metrics
+    ? `- ${name} (${count} episode${count === 1 ? '' : 's'}): ${Math.round(metrics.downloads).toLocaleString()} avg downloads, ${(
+        metrics.completionRate * 100
+      ).toFixed(1)}% completion, ${metrics.conversion.toFixed(1)} subs per 1k downloads`
+    : `- ${name}: no matching episodes`;
+
+const signed = (value) => `${value < 0 ? '−' : '+'}${Math.abs(value).toFixed(2)}`;
+
+// "| Downloads | +0.87 | +0.71 to +1.02 | p < 0.001 |"
+const driverRow = ({ label, estimate, lower, upper, pValue }) =>
+  `| ${label} | ${signed(estimate)} | ${signed(lower)} to ${signed(upper)} | ${formatPValue(pValue)} |`;
+
+const driverLines = (drivers) =>
+  drivers
+    ? [
+        `R² ${drivers.rSquared.toFixed(2)} (adjusted ${drivers.adjustedRSquared.toFixed(2)}), n = ${drivers.n}`,
+        '',
+        '| Metric | Standardized β | 95% CI | p |',
+        '| --- | --- | --- | --- |',
+        ...drivers.coefficients.map(driverRow),
+      ]
+    : ['- Not enough episodes to fit the model'];
+
+// "| 25–35 min | 42 | 71.3% | 4,812 | 38 |"
+const durationBucketRow = ({ label, count, metrics }) =>
+  metrics.completionRate
+    ? `| ${label} min | ${count} | ${(metrics.completionRate.median * 100).toFixed(1)}% | ${Math.round(
+        metrics.downloads.median,
+      ).toLocaleString()} | ${Math.round(metrics.subscribersGained.median).toLocaleString()} |`
+    : `| ${label} min | 0 | — | — | — |`;
+
+const durationBucketLines = (durationBuckets) =>
+  durationBuckets
+    ? [
+        '| Length | Episodes | Median completion | Median downloads | Median subs gained |',
+        '| --- | --- | --- | --- | --- |',
+        ...durationBuckets.buckets.map(durationBucketRow),
+      ]
+    : ['- None'];
+
+// "- Churn: 18.9% of the returning base per release, half-life 3.3 releases"
+const retentionLines = (retention) =>
+  retention
+    ? [
+        `- First return: ${(retention.firstReturnRate * 100).toFixed(1)}% of new listeners come back for the next release`,
+        `- Churn: ${(retention.churnRate * 100).toFixed(1)}% of the returning base per release${
+          retention.periodDays ? ` (about every ${retention.periodDays} days)` : ''
+        }${retention.halfLife === null ? '' : `, half-life ${retention.halfLife.toFixed(1)} releases`}`,
+        `- Model fit: ${retention.rSquared === null ? '—' : `R² ${retention.rSquared.toFixed(2)}`} (modeled vs actual returning listeners)`,
+      ]
+    : ['- Not enough episodes to fit the model'];
+
+const toMarkdown = ({
+  fileName,
+  summary,
+  insights,
+  anomalies,
+  forecast,
+  topics,
+  drivers,
+  durationBuckets,
+  retention,
+  issues,
+}) => {
+  const findings = keyFindings(insights);
+  const lines = [
+    `# Podcast report: ${fileName}`,
+    '',
+    '| Metric | Value |',
+    '| --- | --- |',
+    ...SUMMARY_ROWS.map(([label, format]) => `| ${label} | ${format(summary)} |`),
+    '',
+    '## Key findings',
+    '',
+    ...(findings.length ? findings.map((finding) => `- ${finding.message}`) : ['- None']),
+    '',
+    '## Insights',
+    '',
+    ...insights.map((insight) => `- ${insight.message}`),
+    '',
+    '## Anomalies',
+    '',
+    ...(anomalies.length
+      ? anomalies.map((anomaly) => `- Ep ${anomaly.episode} (${anomaly.title}): ${anomaly.reason}`)
+      : ['- None']),
+    '',
+    '## Forecast',
+    '',
+    ...FORECAST_SERIES.map(([key, label]) => forecastLine(label, forecast?.[key])),
+    '',
+    '## Topics',
+    '',
+    ...(topics.topics.length ? topics.topics.map(topicLine) : ['- None']),
+    '',
+    '## Duration buckets',
+    '',
+    ...durationBucketLines(durationBuckets),
+    '',
+    '## Listener retention',
+    '',
+    ...retentionLines(retention),
+    '',
+    '## What drives subscribers',
+    '',
+    ...driverLines(drivers),
+  ];
+  if (issues.length) {
+    const rejected = issues.filter((issue) => issue.severity === 'rejected').length;
+    lines.push('', `_${rejected} row(s) rejected and ${issues.length - rejected} value(s) coerced while parsing._`);
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+const toJson = ({
+  fileName,
+  summary,
+  insights,
+  anomalies,
+  forecast,
+  topics,
+  drivers,
+  durationBuckets,
+  retention,
+  issues,
+}) => {
+  const { latestEpisode, ...totals } = summary;
+  return `${JSON.stringify(
+    {
+      fileName,
+      summary: { ...totals, latestEpisode: { episode: latestEpisode.episode, title: latestEpisode.title } },
+      insights,
+      anomalies,
+      forecast,
+      topics,
+      drivers,
+      durationBuckets,
+      retention,
+      issues,
+    },
+    null,
+    2,
+  )}\n`;
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: { format: { type: 'string', short: 'f', default: 'markdown' } },
+  });
+  if (positionals.length !== 1 || !FORMATS.includes(values.format)) {
+    throw new Error(USAGE);
+  }
+
+  const [filePath] = positionals;
+  const contents = await readFile(filePath, 'utf8');
+  const { rows, issues } = parseEpisodes(contents, parseOptionsFor(contents));
+  const { summary, insights, anomalies, forecast, topics, drivers, durationBuckets, retention } = analyzeEpisodes(rows);
+  const report = {
+    fileName: basename(filePath),
+    summary,
+    insights,
+    anomalies,
+    forecast,
+    topics,
+    drivers,
+    durationBuckets,
+    retention,
+    issues,
+  };
+
+  process.stdout.write(values.format === 'json' ? toJson(report) : toMarkdown(report));
+};
+
+main().catch((err) => {
+  console.error(err.message);
+  if (err instanceof DatasetValidationError) {
+    err.issues.slice(0, 20).forEach((issue) => console.error(`  line ${issue.line}: ${issue.reason}`));
+  }
+  process.exitCode = 1;
+});
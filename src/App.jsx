@@ -1,3 +1,4 @@
+import { useState } from 'react';
 import DownloadsTrendChart from './components/DownloadsTrendChart.jsx';
 import CompletionRateChart from './components/CompletionRateChart.jsx';
 import ListenerMixChart from './components/ListenerMixChart.jsx';
@@ -5,32 +6,190 @@ import SubscriberGrowthChart from './components/SubscriberGrowthChart.jsx';
 import SharesSubscribersScatter from './components/SharesSubscribersScatter.jsx';
 import DurationCompletionScatter from './components/DurationCompletionScatter.jsx';
 import ThemeToggle from './components/ThemeToggle.jsx';
-import { usePodcastData } from './hooks/usePodcastData.js';
+import DatasetImport from './components/DatasetImport.jsx';
+import DatasetSwitcher from './components/DatasetSwitcher.jsx';
+import ValidationReport from './components/ValidationReport.jsx';
+import ColumnMappingWizard from './components/ColumnMappingWizard.jsx';
+import { SAMPLE_DATASET_ID, usePodcastData } from './hooks/usePodcastData.js';
+import SnapshotComparison from './components/SnapshotComparison.jsx';
+import EpisodeEditor from './components/EpisodeEditor.jsx';
+import LoadingProgress from './components/LoadingProgress.jsx';
+import SmoothingControl from './components/SmoothingControl.jsx';
+import ComparisonControl from './components/ComparisonControl.jsx';
+import AnomaliesPanel from './components/AnomaliesPanel.jsx';
+import ForecastControl from './components/ForecastControl.jsx';
+import GuestLeaderboard from './components/GuestLeaderboard.jsx';
+import TopicPerformance from './components/TopicPerformance.jsx';
+import EpisodeLeaderboard from './components/EpisodeLeaderboard.jsx';
+import DriverAnalysis from './components/DriverAnalysis.jsx';
+import DurationBuckets from './components/DurationBuckets.jsx';
+import RetentionChart from './components/RetentionChart.jsx';
+import KeyFindings from './components/KeyFindings.jsx';
+import GoalsPanel from './components/GoalsPanel.jsx';
+import GoalProgress from './components/GoalProgress.jsx';
+import AlertsPanel, { AlertBadge } from './components/AlertsPanel.jsx';
+import { useFileDrop } from './hooks/useFileDrop.js';
+import { useSnapshotComparison } from './hooks/useSnapshotComparison.js';
+import { useMappingPresets } from './hooks/useMappingPresets.js';
+import { deltaClass, formatSignedNumber } from './lib/format.js';
+import { insightsFor } from './lib/insightEngine.js';
+import { goalsFor } from './lib/goals.js';
+import { alertedEpisodes } from './lib/alerts.js';
+
+const SummaryDelta = ({ value, digits = 0, suffix = '' }) =>
+  value === undefined ? null : (
+    <small className={`summary-delta ${deltaClass(value)}`}>
+      {formatSignedNumber(value, digits)}
+      {suffix} vs baseline
+    </small>
+  );
 
 const App = () => {
-  const { episodes, summary, insights, loading, error } = usePodcastData();
+  const {
+    episodes,
+    summary,
+    insights,
+    anomalies,
+    forecast,
+    guests,
+    topics,
+    drivers,
+    durationBuckets,
+    retention,
+    goalProgress,
+    alerts,
+    issues,
+    source,
+    datasets,
+    loading,
+    progress,
+    error,
+    importError,
+    analysisError,
+    storageError,
+    pendingImport,
+    importFile,
+    confirmImport,
+    cancelImport,
+    removeFeed,
+    selectDataset,
+    renameDataset,
+    removeDataset,
+    updateEpisode,
+    undoEdit,
+    canUndo,
+    exportCsv,
+    smoothing,
+    setSmoothing,
+    comparison,
+    setComparison,
+    forecastHorizon,
+    setForecastHorizon,
+    topicRules,
+    setTopicRules,
+    goals,
+    setGoals,
+    alertRules,
+    setAlertRules,
+    durationEdges,
+    setDurationEdges,
+  } = usePodcastData();
+  const { isDragging, dropHandlers } = useFileDrop(importFile);
+  const { presets, savePreset, deletePreset } = useMappingPresets();
+  const [baselineId, setBaselineId] = useState(null);
+  // The active dataset is always the "after" side; a baseline equal to it means nothing to compare.
+  const activeBaselineId = baselineId && baselineId !== (source.id ?? SAMPLE_DATASET_ID) ? baselineId : null;
+  const snapshot = useSnapshotComparison(activeBaselineId, episodes);
+  const summaryDeltas = snapshot.diff?.summaryDeltas;
+  const defaultBaselineId = datasets.find((entry) => entry.id !== source.id)?.id ?? SAMPLE_DATASET_ID;
+  const canCompare = datasets.some((entry) => entry.id !== source.id) || !source.isSample;
+  const [highlightedGuest, setHighlightedGuest] = useState(null);
+  // Looked up by name so the highlight clears itself when the guest isn't in the active dataset.
+  const highlightedEntry = guests.find((guest) => guest.name === highlightedGuest);
+  const highlight = highlightedEntry
+    ? { name: highlightedEntry.name, episodes: new Set(highlightedEntry.episodes) }
+    : null;
+
+  const datasetImport = (
+    <>
+      <div className="dataset-bar">
+        <DatasetSwitcher
+          source={source}
+          datasets={datasets}
+          storageError={storageError}
+          onSelect={selectDataset}
+          onRename={renameDataset}
+          onRemove={removeDataset}
+          onCompare={canCompare && !activeBaselineId ? () => setBaselineId(defaultBaselineId) : null}
+        />
+        <DatasetImport
+          source={source}
+          importError={pendingImport ? null : importError}
+          onImport={importFile}
+          onRemoveFeed={removeFeed}
+        />
+      </div>
+      {progress && !loading ? <LoadingProgress progress={progress} /> : null}
+      {analysisError ? (
+        <p className="dataset-error" role="alert">
+          Couldn’t update the metrics, so the charts show the last analysis: {analysisError.message}
+        </p>
+      ) : null}
+      {pendingImport ? (
+        <ColumnMappingWizard
+          key={pendingImport.name}
+          pendingImport={pendingImport}
+          importError={importError}
+          presets={presets}
+          onSavePreset={savePreset}
+          onDeletePreset={deletePreset}
+          onConfirm={confirmImport}
+          onCancel={cancelImport}
+        />
+      ) : null}
+    </>
+  );
 
   if (loading) {
     return (
       <div className="app">
         <p>Loading podcast metrics…</p>
+        {progress ? <LoadingProgress progress={progress} /> : null}
       </div>
     );
   }
 
   if (error || !summary) {
     return (
-      <div className="app">
-        <p>We couldn’t load the dataset. Please double-check that <code>public/podcast-metrics.csv</code> is available.</p>
+      <div className="app" {...dropHandlers}>
+        {error?.issues ? (
+          <>
+            <p>
+              We couldn’t use <code>{source.name}</code>: {error.message}
+            </p>
+            <ValidationReport issues={error.issues} title="Rejected rows" defaultOpen />
+          </>
+        ) : (
+          <p>We couldn’t load the dataset. Please double-check that <code>public/podcast-metrics.csv</code> is available.</p>
+        )}
+        {datasetImport}
       </div>
     );
   }
 
   return (
-    <div className="app">
+    <div className="app" {...dropHandlers}>
+      {isDragging ? (
+        <div className="drop-overlay" aria-hidden="true">
+          <span>Drop a CSV to replace the dataset, or an RSS feed to add episode metadata</span>
+        </div>
+      ) : null}
       <header>
         <ThemeToggle />
         <h1>Podcast Growth Intelligence</h1>
+        <AlertBadge alerts={alerts} />
+        {datasetImport}
+        <ValidationReport issues={issues} />
         <div className="summary-strip" aria-label="Key podcast metrics">
           <div className="summary-item">
             <span className="summary-icon" aria-hidden="true">
@@ -53,6 +212,7 @@ const App = () => {
             <div className="summary-item-text">
               <strong>Total Episodes</strong>
               <span>{summary.totalEpisodes}</span>
+              <SummaryDelta value={summaryDeltas?.totalEpisodes} />
             </div>
           </div>
           <div className="summary-item">
@@ -74,6 +234,8 @@ const App = () => {
             <div className="summary-item-text">
               <strong>Avg Downloads</strong>
               <span>{Math.round(summary.averageDownloads).toLocaleString()}</span>
+              <SummaryDelta value={summaryDeltas?.averageDownloads} />
+              <GoalProgress goals={goalProgress} metric="averageDownloads" />
             </div>
           </div>
           <div className="summary-item">
@@ -95,6 +257,12 @@ const App = () => {
             <div className="summary-item-text">
               <strong>Avg Completion</strong>
               <span>{(summary.averageCompletionRate * 100).toFixed(1)}%</span>
+              <SummaryDelta
+                value={summaryDeltas ? summaryDeltas.averageCompletionRate * 100 : undefined}
+                digits={1}
+                suffix=" pts"
+              />
+              <GoalProgress goals={goalProgress} metric="averageCompletion" />
             </div>
           </div>
           <div className="summary-item">
@@ -116,6 +284,7 @@ const App = () => {
             <div className="summary-item-text">
               <strong>Avg Duration</strong>
               <span>{summary.averageDuration.toFixed(1)} min</span>
+              <SummaryDelta value={summaryDeltas?.averageDuration} digits={1} suffix=" min" />
             </div>
           </div>
           <div className="summary-item">
@@ -139,23 +308,149 @@ const App = () => {
             <div className="summary-item-text">
               <strong>Total Subscribers</strong>
               <span>{summary.totalSubscribers.toLocaleString()}</span>
+              <SummaryDelta value={summaryDeltas?.totalSubscribers} />
+              <GoalProgress goals={goalProgress} metric="totalSubscribers" />
+            </div>
+          </div>
+          <div className="summary-item">
+            <span className="summary-icon" aria-hidden="true">
+              <svg
+                width="28"
+                height="28"
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="1.8"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+              >
+                <path d="M7 17V7" />
+                <path d="M17 17V11" />
+                <path d="M4 20h16" />
+                <path d="M10 9l4-4" />
+                <path d="M14 5v3" />
+                <path d="M14 5h-3" />
+              </svg>
+            </span>
+            <div className="summary-item-text">
+              <strong>Period Change</strong>
+              <span>
+                {summary.downloadsGrowthPercent === null
+                  ? '—'
+                  : `${formatSignedNumber(summary.downloadsGrowthPercent, 1)}% downloads`}
+              </span>
+              <small className="summary-caption">
+                {summary.completionRateChange === null
+                  ? 'No episodes in one period'
+                  : `${formatSignedNumber(summary.completionRateChange, 1)} pts completion · ${summary.comparison.labels.caption}`}
+              </small>
             </div>
           </div>
         </div>
       </header>
 
+      <KeyFindings insights={insights} />
+
+      <GoalsPanel goals={goals} goalProgress={goalProgress} onGoalsChange={setGoals} />
+
+      <AlertsPanel alerts={alerts} rules={alertRules} onRulesChange={setAlertRules} />
+
+      {activeBaselineId ? (
+        <SnapshotComparison
+          source={source}
+          datasets={datasets}
+          baselineId={activeBaselineId}
+          onBaselineChange={setBaselineId}
+          onClose={() => setBaselineId(null)}
+          diff={snapshot.diff}
+          loading={snapshot.loading}
+          error={snapshot.error}
+        />
+      ) : null}
+
+      <div className="chart-toolbar">
+        <ComparisonControl comparison={comparison} episodes={episodes} onChange={setComparison} />
+        <SmoothingControl smoothing={smoothing} onChange={setSmoothing} />
+        <ForecastControl horizon={forecastHorizon} onChange={setForecastHorizon} />
+      </div>
+
       <section className="chart-grid">
-        <DownloadsTrendChart data={episodes} insight={insights.downloads} />
+        <DownloadsTrendChart
+          data={episodes}
+          smoothing={smoothing}
+          anomalies={anomalies}
+          forecast={forecast?.downloads}
+          goals={goalsFor(goalProgress, 'downloads')}
+          alerted={alertedEpisodes(alerts, 'downloads')}
+          highlight={highlight}
+          insights={insightsFor(insights, 'downloads')}
+        />
         <CompletionRateChart
           data={episodes}
           averageCompletionRate={summary.averageCompletionRate}
-          insight={insights.completion}
+          smoothing={smoothing}
+          anomalies={anomalies}
+          goals={goalsFor(goalProgress, 'completion')}
+          alerted={alertedEpisodes(alerts, 'completion')}
+          highlight={highlight}
+          insights={insightsFor(insights, 'completion')}
+        />
+        <ListenerMixChart
+          data={episodes}
+          alerted={alertedEpisodes(alerts, 'listenerMix')}
+          highlight={highlight}
+          insights={insightsFor(insights, 'listenerMix')}
         />
-        <ListenerMixChart data={episodes} insight={insights.listenerMix} />
-        <SubscriberGrowthChart data={episodes} insight={insights.subscriberGrowth} />
-        <SharesSubscribersScatter data={episodes} insight={insights.sharesToSubs} />
-        <DurationCompletionScatter data={episodes} insight={insights.duration} />
+        <RetentionChart retention={retention} insights={insightsFor(insights, 'retention')} />
+        <SubscriberGrowthChart
+          data={episodes}
+          anomalies={anomalies}
+          forecast={forecast?.subscribers}
+          goals={goalsFor(goalProgress, 'subscriberGrowth')}
+          alerted={alertedEpisodes(alerts, 'subscriberGrowth')}
+          highlight={highlight}
+          insights={insightsFor(insights, 'subscriberGrowth')}
+        />
+        <SharesSubscribersScatter
+          data={episodes}
+          anomalies={anomalies}
+          correlation={summary.correlations.sharesSubscribers}
+          alerted={alertedEpisodes(alerts, 'sharesToSubs')}
+          highlight={highlight}
+          insights={insightsFor(insights, 'sharesToSubs')}
+        />
+        <DurationCompletionScatter
+          data={episodes}
+          correlation={summary.correlations.durationCompletion}
+          highlight={highlight}
+          insights={insightsFor(insights, 'duration')}
+        />
+        <DurationBuckets
+          durationBuckets={durationBuckets}
+          edges={durationEdges}
+          onEdgesChange={setDurationEdges}
+          insights={insightsFor(insights, 'durationBuckets')}
+        />
+        <DriverAnalysis drivers={drivers} insights={insightsFor(insights, 'drivers')} />
       </section>
+
+      <AnomaliesPanel anomalies={anomalies} />
+
+      <GuestLeaderboard guests={guests} highlighted={highlight?.name ?? null} onHighlight={setHighlightedGuest} />
+
+      <TopicPerformance topics={topics} rules={topicRules} onRulesChange={setTopicRules} />
+
+      <EpisodeLeaderboard episodes={episodes} />
+
+      <EpisodeEditor
+        episodes={episodes}
+        sourceName={source.name}
+        canUndo={canUndo}
+        onUpdate={updateEpisode}
+        onUndo={undoEdit}
+        onExport={exportCsv}
+        rejectedCount={issues.filter((issue) => issue.severity === 'rejected').length}
+      />
     </div>
   );
 };
@@ -0,0 +1,27 @@
+// Warning triangles above the episodes flagged by triggered alert rules. `episodes`
+// is a Set of episode numbers; `points`, `position`, and `bounds` work as they do for
+// AnomalyMarkers.
+const AlertHighlight = ({ episodes, points, position, bounds }) =>
+  episodes?.size ? (
+    <g className="alert-highlight" aria-hidden="true">
+      {points.map((point) => {
+        if (!episodes.has(point.episode)) {
+          return null;
+        }
+        const [x, y] = position(point);
+        if (x < bounds.left || x > bounds.right || y < bounds.top || y > bounds.bottom) {
+          return null;
+        }
+        return <path key={point.episode} d={`M${x},${y - 16} l5,9 h-10 z`} className="alert-marker" />;
+      })}
+    </g>
+  ) : null;
+
+export const AlertLegendItem = ({ episodes }) =>
+  episodes?.size ? (
+    <span className="legend-item">
+      <span className="legend-swatch legend-swatch-alert" /> Alert
+    </span>
+  ) : null;
+
+export default AlertHighlight;
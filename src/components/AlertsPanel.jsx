@@ -0,0 +1,153 @@
+import { useState } from 'react';
+import { ALERT_COMPARATORS, ALERT_METRICS, MAX_ALERT_COUNT, isValidAlertRules, thresholdUnit } from '../lib/alerts.js';
+import { createId } from '../lib/ids.js';
+
+const AlertRuleForm = ({ rules, onChange }) => {
+  const [metric, setMetric] = useState(ALERT_METRICS[0].key);
+  const [comparator, setComparator] = useState(ALERT_COMPARATORS[0].key);
+  const [threshold, setThreshold] = useState('');
+  const [count, setCount] = useState('3');
+  const [error, setError] = useState(null);
+  const unit = thresholdUnit(metric, comparator);
+  const isChange = ALERT_COMPARATORS.find((option) => option.key === comparator).change;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const rule = {
+      id: createId(),
+      metric,
+      comparator,
+      threshold: threshold === '' ? NaN : Number(threshold) / unit.scale,
+      count: Number(count),
+    };
+    const next = [...rules, rule];
+    if (!isValidAlertRules(next)) {
+      setError(
+        `Enter a threshold ${isChange ? 'above 0' : 'of 0 or more'} and between 1 and ${MAX_ALERT_COUNT} episodes.`,
+      );
+      return;
+    }
+    onChange(next);
+    setThreshold('');
+    setError(null);
+  };
+
+  return (
+    <form className="alert-rule-form" onSubmit={handleSubmit}>
+      <label>
+        Metric
+        <select value={metric} onChange={(event) => setMetric(event.target.value)}>
+          {ALERT_METRICS.map((option) => (
+            <option key={option.key} value={option.key}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Condition
+        <select value={comparator} onChange={(event) => setComparator(event.target.value)}>
+          {ALERT_COMPARATORS.map((option) => (
+            <option key={option.key} value={option.key}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Threshold{unit.suffix ? ` (${unit.suffix.trim()})` : ''}
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={threshold}
+          onChange={(event) => setThreshold(event.target.value)}
+        />
+      </label>
+      <label>
+        {isChange ? 'Window (episodes)' : 'Episodes in a row'}
+        <input
+          type="number"
+          min="1"
+          max={MAX_ALERT_COUNT}
+          step="1"
+          value={count}
+          onChange={(event) => setCount(event.target.value)}
+        />
+      </label>
+      <button type="submit" className="dataset-button">
+        Add rule
+      </button>
+      {error ? (
+        <p className="dataset-error" role="alert">
+          {error}
+        </p>
+      ) : null}
+    </form>
+  );
+};
+
+// Header link to the alerts panel; shown while any alert rule is triggered.
+export const AlertBadge = ({ alerts }) => {
+  const triggered = alerts.filter((alert) => alert.triggered).length;
+  return triggered ? (
+    <a className="alert-badge" href="#alerts-panel">
+      {triggered} {triggered === 1 ? 'alert' : 'alerts'}
+    </a>
+  ) : null;
+};
+
+// Triggered alerts first, then the rules that are quiet. `rules` are the saved alert
+// rules and `alerts` their evaluation against the current data; `onRulesChange` saves
+// a new list.
+const AlertsPanel = ({ alerts, rules, onRulesChange }) => {
+  const triggered = alerts.filter((alert) => alert.triggered);
+  const quiet = alerts.filter((alert) => !alert.triggered);
+  const removeRule = (id) => onRulesChange(rules.filter((rule) => rule.id !== id));
+
+  const removeButton = (alert) => (
+    <button type="button" className="dataset-button dataset-button-subtle" onClick={() => removeRule(alert.id)}>
+      Remove
+    </button>
+  );
+
+  return (
+    <section id="alerts-panel" className="alerts-panel chart-card" aria-labelledby="alerts-title">
+      <h2 id="alerts-title">Alerts</h2>
+      <p className="chart-description">
+        Guardrail rules checked every time the data loads or changes. A level rule fires on any streak of episodes past
+        its threshold; a change rule compares the average of the latest episodes with the same number before them.
+        Offending episodes are marked with a triangle on the matching chart.
+      </p>
+      {triggered.length ? (
+        <ul className="alert-list">
+          {triggered.map((alert) => (
+            <li key={alert.id} className="alert-triggered">
+              <strong>{alert.description}</strong>
+              {alert.ongoing ? <span className="alert-ongoing">Ongoing</span> : null}
+              {removeButton(alert)}
+              <div>{alert.message}</div>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+      {rules.length && !triggered.length ? <p className="chart-description">No rule is triggered.</p> : null}
+      {quiet.length ? (
+        <ul className="alert-list">
+          {quiet.map((alert) => (
+            <li key={alert.id}>
+              {alert.description}: not triggered
+              {removeButton(alert)}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+      <details className="alert-editor">
+        <summary>Add an alert rule</summary>
+        <AlertRuleForm rules={rules} onChange={onRulesChange} />
+      </details>
+    </section>
+  );
+};
+
+export default AlertsPanel;
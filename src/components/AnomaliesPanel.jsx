@@ -0,0 +1,46 @@
+import { ANOMALY_BASELINE_WINDOW, ANOMALY_METRICS } from '../lib/anomalies.js';
+import { formatSignedNumber } from '../lib/format.js';
+
+const formatters = Object.fromEntries(ANOMALY_METRICS.map((metric) => [metric.key, metric.format]));
+
+const AnomaliesPanel = ({ anomalies }) => (
+  <section className="anomalies-panel chart-card" aria-labelledby="anomalies-title">
+    <h2 id="anomalies-title">Anomalies</h2>
+    <p className="chart-description">
+      Episodes whose downloads, completion rate, subscribers gained, or shares sit far from the median of the{' '}
+      {ANOMALY_BASELINE_WINDOW} episodes before them. Flagged points are marked with a diamond on the charts.
+    </p>
+    {anomalies.length ? (
+      <div className="anomalies-table-wrapper">
+        <table className="anomalies-table">
+          <thead>
+            <tr>
+              <th scope="col">Episode</th>
+              <th scope="col">Metric</th>
+              <th scope="col">Value</th>
+              <th scope="col">Typical</th>
+              <th scope="col">Score</th>
+            </tr>
+          </thead>
+          <tbody>
+            {anomalies.map((anomaly) => (
+              <tr key={`${anomaly.episode}-${anomaly.metric}`}>
+                <th scope="row" title={anomaly.title}>
+                  Ep {anomaly.episode}
+                </th>
+                <td>{anomaly.metricLabel}</td>
+                <td className={`anomaly-${anomaly.direction}`}>{formatters[anomaly.metric](anomaly.value)}</td>
+                <td>{formatters[anomaly.metric](anomaly.baseline)}</td>
+                <td className={`anomaly-${anomaly.direction}`}>{formatSignedNumber(anomaly.score, 1)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    ) : (
+      <p className="chart-description">No episodes stand out from their recent baseline.</p>
+    )}
+  </section>
+);
+
+export default AnomaliesPanel;
@@ -0,0 +1,42 @@
+import { symbol, symbolDiamond } from 'd3-shape';
+
+const markerPath = symbol(symbolDiamond, 90)();
+
+// Diamond markers for flagged episodes. `flagged` comes from groupAnomalies; `points`
+// are the plotted items and `position(point)` returns their [x, y] in SVG units.
+// Points outside `bounds` (e.g. panned out of view) are skipped.
+const AnomalyMarkers = ({ flagged, points, position, bounds }) => (
+  <g className="anomaly-markers" aria-hidden="true">
+    {points.map((point) => {
+      const anomalies = flagged.get(point.episode);
+      if (!anomalies) {
+        return null;
+      }
+      const [x, y] = position(point);
+      if (x < bounds.left || x > bounds.right || y < bounds.top || y > bounds.bottom) {
+        return null;
+      }
+      const direction = anomalies.some((anomaly) => anomaly.direction === 'high') ? 'high' : 'low';
+      return (
+        <path
+          key={point.episode}
+          d={markerPath}
+          transform={`translate(${x}, ${y})`}
+          className={`anomaly-marker anomaly-${direction}`}
+        />
+      );
+    })}
+  </g>
+);
+
+// Tooltip lines explaining why the hovered episode was flagged.
+export const AnomalyReasons = ({ anomalies }) =>
+  anomalies
+    ? anomalies.map((anomaly) => (
+        <div key={anomaly.metric} className={`chart-tooltip-anomaly anomaly-${anomaly.direction}`}>
+          {anomaly.reason}
+        </div>
+      ))
+    : null;
+
+export default AnomalyMarkers;
@@ -0,0 +1,24 @@
+const AxisToggle = ({ mode, onChange, hasDates }) => (
+  <div className="axis-toggle" role="group" aria-label="X axis">
+    <button
+      type="button"
+      className={mode === 'episode' ? 'is-active' : undefined}
+      aria-pressed={mode === 'episode'}
+      onClick={() => onChange('episode')}
+    >
+      Episode
+    </button>
+    <button
+      type="button"
+      className={mode === 'date' ? 'is-active' : undefined}
+      aria-pressed={mode === 'date'}
+      onClick={() => onChange('date')}
+      disabled={!hasDates}
+      title={hasDates ? 'Plot against publish date' : 'Add a publish date to every episode to use a time axis'}
+    >
+      Date
+    </button>
+  </div>
+);
+
+export default AxisToggle;
@@ -1,12 +1,24 @@
-const ChartCard = ({ title, description, insight, legend, children }) => (
+// `insights` are insight-engine findings for this chart, best first.
+const ChartCard = ({ title, description, insights, legend, controls, children }) => (
   <article className="chart-card">
     <div>
-      <h2>{title}</h2>
+      <div className="chart-card-header">
+        <h2>{title}</h2>
+        {controls ? <div className="chart-controls">{controls}</div> : null}
+      </div>
       <p className="chart-description">{description}</p>
       {legend}
     </div>
     {children}
-    {insight ? <p className="chart-insight">{insight}</p> : null}
+    {insights?.length ? (
+      <ul className="chart-insights">
+        {insights.map((insight) => (
+          <li key={insight.id} className={`chart-insight insight-${insight.severity}`}>
+            {insight.message}
+          </li>
+        ))}
+      </ul>
+    ) : null}
   </article>
 );
 
@@ -0,0 +1,210 @@
+import { useState } from 'react';
+import ValidationReport from './ValidationReport.jsx';
+import {
+  DATASET_FIELDS,
+  DURATION_FORMATS,
+  detectDurationFormat,
+  detectMapping,
+  missingRequiredFields,
+  presetMatchesHeaders,
+} from '../lib/columnMapping.js';
+
+const initialState = (pendingImport, presets) => {
+  const preset = presets.find((candidate) => presetMatchesHeaders(candidate, pendingImport.headers));
+  if (preset) {
+    return { mapping: preset.mapping, durationFormat: preset.durationFormat, presetName: preset.name };
+  }
+  const mapping = detectMapping(pendingImport.headers);
+  const durationFormat = detectDurationFormat(
+    mapping.duration,
+    pendingImport.preview.map((record) => record[mapping.duration]),
+  );
+  return { mapping, durationFormat, presetName: '' };
+};
+
+const ColumnMappingWizard = ({
+  pendingImport,
+  importError,
+  presets,
+  onSavePreset,
+  onDeletePreset,
+  onConfirm,
+  onCancel,
+}) => {
+  const [state, setState] = useState(() => initialState(pendingImport, presets));
+  const { mapping, durationFormat, presetName } = state;
+  const { headers, preview } = pendingImport;
+
+  const missing = missingRequiredFields(mapping, pendingImport.coveredFields);
+  const mappedHeaders = new Set(Object.values(mapping));
+  const unmappedHeaders = headers.filter((header) => !mappedHeaders.has(header));
+  const matchingPresets = presets.filter((preset) => presetMatchesHeaders(preset, headers));
+
+  const setField = (field, header) => {
+    setState((prev) => {
+      const next = { ...prev.mapping };
+      if (header) {
+        next[field] = header;
+      } else {
+        delete next[field];
+      }
+      return { ...prev, mapping: next };
+    });
+  };
+
+  const applyPreset = (name) => {
+    const preset = presets.find((candidate) => candidate.name === name);
+    if (preset) {
+      setState({ mapping: preset.mapping, durationFormat: preset.durationFormat, presetName: preset.name });
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!missing.length) {
+      onConfirm({ mapping, durationFormat });
+    }
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <form
+        className="modal column-mapping"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="column-mapping-title"
+        onSubmit={handleSubmit}
+      >
+        <h2 id="column-mapping-title">Map columns from {pendingImport.name}</h2>
+        <p className="modal-description">
+          This file’s headers don’t match the dashboard’s schema. Choose which column feeds each field; required
+          fields are marked with an asterisk.
+        </p>
+
+        {matchingPresets.length ? (
+          <label className="mapping-preset-picker">
+            Preset
+            <select value={presetName} onChange={(event) => applyPreset(event.target.value)}>
+              <option value="">Auto-detected</option>
+              {matchingPresets.map((preset) => (
+                <option key={preset.name} value={preset.name}>
+                  {preset.name}
+                </option>
+              ))}
+            </select>
+          </label>
+        ) : null}
+
+        <table className="mapping-table">
+          <thead>
+            <tr>
+              <th scope="col">Dashboard field</th>
+              <th scope="col">Column in file</th>
+              <th scope="col">First value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {DATASET_FIELDS.map((field) => (
+              <tr key={field.key}>
+                <th scope="row">
+                  {field.label}
+                  {field.required && !pendingImport.coveredFields.includes(field.key) ? (
+                    <span className="mapping-required"> *</span>
+                  ) : null}
+                  {pendingImport.coveredFields.includes(field.key) ? (
+                    <span className="mapping-covered"> (from feed)</span>
+                  ) : null}
+                </th>
+                <td>
+                  <select
+                    value={mapping[field.key] ?? ''}
+                    onChange={(event) => setField(field.key, event.target.value)}
+                    aria-label={`Column for ${field.label}`}
+                  >
+                    <option value="">— not in file —</option>
+                    {headers.map((header) => (
+                      <option key={header} value={header}>
+                        {header}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td className="mapping-preview">{mapping[field.key] ? preview[0]?.[mapping[field.key]] : ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <label className="mapping-duration-format">
+          Duration format
+          <select
+            value={durationFormat}
+            onChange={(event) => setState((prev) => ({ ...prev, durationFormat: event.target.value }))}
+          >
+            {DURATION_FORMATS.map((format) => (
+              <option key={format.key} value={format.key}>
+                {format.label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {unmappedHeaders.length ? (
+          <p className="mapping-unmapped">
+            Ignored columns: {unmappedHeaders.map((header) => `“${header}”`).join(', ')}
+          </p>
+        ) : null}
+
+        <div className="mapping-preset-save">
+          <input
+            type="text"
+            placeholder="Preset name, e.g. Hosting export"
+            value={presetName}
+            onChange={(event) => setState((prev) => ({ ...prev, presetName: event.target.value }))}
+            aria-label="Preset name"
+          />
+          <button
+            type="button"
+            className="dataset-button"
+            disabled={!presetName.trim()}
+            onClick={() => onSavePreset(presetName.trim(), mapping, durationFormat)}
+          >
+            Save preset
+          </button>
+          {presets.some((preset) => preset.name === presetName) ? (
+            <button
+              type="button"
+              className="dataset-button dataset-button-subtle"
+              onClick={() => {
+                onDeletePreset(presetName);
+                setState((prev) => ({ ...prev, presetName: '' }));
+              }}
+            >
+              Delete preset
+            </button>
+          ) : null}
+        </div>
+
+        {importError ? (
+          <>
+            <p className="dataset-error" role="alert">
+              {importError.message}
+            </p>
+            <ValidationReport issues={importError.issues} title="Import problems" defaultOpen />
+          </>
+        ) : null}
+
+        <div className="modal-actions">
+          <button type="button" className="dataset-button dataset-button-subtle" onClick={onCancel}>
+            Cancel
+          </button>
+          <button type="submit" className="dataset-button" disabled={missing.length > 0}>
+            {missing.length ? `Map ${missing.length} more required field${missing.length === 1 ? '' : 's'}` : 'Import'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
@@ -0,0 +1,92 @@
+import { useEffect, useState } from 'react';
+import { COMPARISON_MODES, defaultComparison, isValidComparison } from '../lib/analytics.js';
+
+const toEpisodeNumber = (value) => (value === '' ? '' : Number(value));
+
+const RangeInputs = ({ label, range, type, onChange }) => {
+  const parse = type === 'date' ? (value) => value : toEpisodeNumber;
+  return (
+    <span className="comparison-range">
+      {label}
+      <input
+        type={type}
+        value={range.from}
+        aria-label={`${label} start`}
+        onChange={(event) => onChange({ ...range, from: parse(event.target.value) })}
+      />
+      –
+      <input
+        type={type}
+        value={range.to}
+        aria-label={`${label} end`}
+        onChange={(event) => onChange({ ...range, to: parse(event.target.value) })}
+      />
+    </span>
+  );
+};
+
+// Chooses the two periods (A = baseline, B = compared) behind the growth figures.
+// Edits apply as soon as the draft is a complete, valid comparison.
+const ComparisonControl = ({ comparison, episodes, onChange }) => {
+  const [draft, setDraft] = useState(comparison);
+  const hasDates = episodes.length > 0 && episodes.some((d) => d.publishDate);
+
+  useEffect(() => {
+    setDraft(comparison);
+  }, [comparison]);
+
+  const updateDraft = (next) => {
+    setDraft(next);
+    if (isValidComparison(next)) {
+      onChange(next);
+    }
+  };
+
+  const rangeType = draft.mode === 'dates' ? 'date' : 'number';
+
+  return (
+    <div className="comparison-control" role="group" aria-label="Comparison periods">
+      <label>
+        Compare
+        <select value={draft.mode} onChange={(event) => onChange(defaultComparison(event.target.value, episodes))}>
+          {COMPARISON_MODES.map((mode) => (
+            <option key={mode.key} value={mode.key} disabled={mode.key === 'dates' && !hasDates}>
+              {mode.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {draft.mode === 'lastN' ? (
+        <label>
+          N
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={draft.count}
+            onChange={(event) => updateDraft({ ...draft, count: toEpisodeNumber(event.target.value) })}
+          />
+          episodes
+        </label>
+      ) : null}
+      {draft.mode === 'episodes' || draft.mode === 'dates' ? (
+        <>
+          <RangeInputs
+            label="A"
+            range={draft.a}
+            type={rangeType}
+            onChange={(a) => updateDraft({ ...draft, a })}
+          />
+          <RangeInputs
+            label="B"
+            range={draft.b}
+            type={rangeType}
+            onChange={(b) => updateDraft({ ...draft, b })}
+          />
+        </>
+      ) : null}
+    </div>
+  );
+};
+
+export default ComparisonControl;
@@ -1,9 +1,17 @@
 import { useRef, useState } from 'react';
-import { scaleLinear } from 'd3-scale';
+import { scaleLinear, scaleTime } from 'd3-scale';
 import { extent, max, min } from 'd3-array';
 import { line, curveMonotoneX } from 'd3-shape';
 import ChartCard from './ChartCard.jsx';
+import GuestHighlight, { GuestHighlightLegendItem } from './GuestHighlight.jsx';
+import AlertHighlight, { AlertLegendItem } from './AlertHighlight.jsx';
+import AnomalyMarkers, { AnomalyReasons } from './AnomalyMarkers.jsx';
+import GoalLines, { GoalLegendItem } from './GoalLines.jsx';
+import AxisToggle from './AxisToggle.jsx';
 import { useZoomPan } from '../hooks/useZoomPan.js';
+import { groupAnomalies } from '../lib/anomalies.js';
+import { formatPublishDate, useTimeAxis } from '../hooks/useTimeAxis.js';
+import { describeSmoothing, smoothingShortLabel } from '../lib/analytics.js';
 
 const chartDimensions = {
   width: 640,
@@ -11,41 +19,56 @@ const chartDimensions = {
   margin: { top: 24, right: 24, bottom: 42, left: 60 },
 };
 
-const CompletionRateChart = ({ data, averageCompletionRate, insight }) => {
+const CompletionRateChart = ({
+  data,
+  averageCompletionRate,
+  smoothing,
+  anomalies,
+  goals = [],
+  alerted,
+  highlight,
+  insights,
+}) => {
   const { width, height, margin } = chartDimensions;
+  const flagged = groupAnomalies(anomalies, ['completionRate']);
   const [hoveredPoint, setHoveredPoint] = useState(null);
   const wrapperRef = useRef(null);
-  const baseXDomain = extent(data, (d) => d.episode);
+  const axis = useTimeAxis(data);
+  const { xValue, series } = axis;
+  const baseXDomain = extent(data, xValue);
 
   const { xDomain, zoomRef, resetZoom, xRange } = useZoomPan({
     width,
     height,
     margin,
     xDomain: baseXDomain,
+    xScaleType: axis.xScaleType,
     maxZoom: 12,
   });
 
-  const xScale = scaleLinear()
+  const xScale = (axis.isTime ? scaleTime() : scaleLinear())
     .domain(xDomain)
     .range(xRange ?? [margin.left, width - margin.right]);
 
-  const minRate = min(data, (d) => d.completionRate);
-  const maxRate = max(data, (d) => d.completionRate);
+  const targets = goals.map((goal) => goal.target);
+  const minRate = min([...data.map((d) => d.completionRate), ...targets]);
+  const maxRate = max([...data.map((d) => d.completionRate), ...targets]);
   const yScale = scaleLinear()
     .domain([Math.min(0.45, minRate - 0.02), Math.max(0.95, maxRate + 0.02)])
     .range([height - margin.bottom, margin.top]);
 
   const completionLine = line()
-    .x((d) => xScale(d.episode))
+    .x((d) => xScale(xValue(d)))
     .y((d) => yScale(d.completionRate))
     .curve(curveMonotoneX);
 
   const rollingLine = line()
-    .x((d) => xScale(d.episode))
+    .x((d) => xScale(xValue(d)))
     .y((d) => yScale(d.completionRolling))
     .curve(curveMonotoneX);
 
   const xTicks = xScale.ticks(6);
+  const formatXTick = axis.tickFormat(xScale, 6);
   const yTicks = yScale.ticks(5);
 
   const projectPointToWrapper = (point) => {
@@ -59,7 +82,7 @@ const CompletionRateChart = ({ data, averageCompletionRate, insight }) => {
       return null;
     }
 
-    const svgX = xScale(point.episode);
+    const svgX = xScale(xValue(point));
     const svgY = yScale(point.completionRate);
 
     const left = (svgX / width) * wrapperWidth;
@@ -123,18 +146,27 @@ const CompletionRateChart = ({ data, averageCompletionRate, insight }) => {
     <ChartCard
       title="Completion Discipline"
       description="Track how well episodes keep listeners to the end and spot the dips that signal pacing or segment order issues."
-      insight={insight}
+      insights={insights}
+      controls={<AxisToggle mode={axis.mode} onChange={axis.setMode} hasDates={axis.hasDates} />}
       legend={
         <div className="legend">
           <span className="legend-item">
             <span className="legend-swatch" style={{ background: '#38bdf8' }} /> Completion rate
           </span>
           <span className="legend-item">
-            <span className="legend-swatch" style={{ background: 'rgba(129, 140, 248, 0.85)' }} /> Rolling average
+            <span className="legend-swatch" style={{ background: 'rgba(129, 140, 248, 0.85)' }} /> {describeSmoothing(smoothing)}
           </span>
           <span className="legend-item">
             <span className="legend-swatch" style={{ background: '#facc15' }} /> Portfolio average
           </span>
+          <GoalLegendItem goals={goals} />
+          {flagged.size ? (
+            <span className="legend-item">
+              <span className="legend-swatch legend-swatch-anomaly" /> Anomaly
+            </span>
+          ) : null}
+          <AlertLegendItem episodes={alerted} />
+          <GuestHighlightLegendItem highlight={highlight} />
         </div>
       }
     >
@@ -159,26 +191,27 @@ const CompletionRateChart = ({ data, averageCompletionRate, insight }) => {
           strokeDasharray="6 6"
           strokeWidth={1.8}
         />
-        <path d={completionLine(data)} className="line-primary" />
-        <path d={rollingLine(data)} className="line-secondary" />
+        <GoalLines goals={goals} yScale={yScale} left={margin.left} right={width - margin.right} />
+        <path d={completionLine(series)} className="line-primary" />
+        <path d={rollingLine(series)} className="line-secondary" />
         {data.map((point) => (
           <circle
             key={point.episode}
             className="dot"
-            cx={xScale(point.episode)}
+            cx={xScale(xValue(point))}
             cy={yScale(point.completionRate)}
             r={3}
           />
         ))}
         {xTicks.map((tick) => (
           <text
-            key={`x-${tick.toFixed(3)}`}
+            key={`x-${+tick}`}
             x={xScale(tick)}
             y={height - margin.bottom + 28}
             textAnchor="middle"
             className="axis-label"
           >
-            Ep {Math.round(tick)}
+            {formatXTick(tick)}
           </text>
         ))}
         <text
@@ -200,6 +233,24 @@ const CompletionRateChart = ({ data, averageCompletionRate, insight }) => {
             {(tick * 100).toFixed(0)}%
           </text>
         ))}
+        <AnomalyMarkers
+          flagged={flagged}
+          points={series}
+          position={(d) => [xScale(xValue(d)), yScale(d.completionRate)]}
+          bounds={{ left: margin.left, right: width - margin.right, top: margin.top, bottom: height - margin.bottom }}
+        />
+        <AlertHighlight
+          episodes={alerted}
+          points={series}
+          position={(d) => [xScale(xValue(d)), yScale(d.completionRate)]}
+          bounds={{ left: margin.left, right: width - margin.right, top: margin.top, bottom: height - margin.bottom }}
+        />
+        <GuestHighlight
+          highlight={highlight}
+          points={series}
+          position={(d) => [xScale(xValue(d)), yScale(d.completionRate)]}
+          bounds={{ left: margin.left, right: width - margin.right, top: margin.top, bottom: height - margin.bottom }}
+        />
         <rect
           ref={zoomRef}
           x={margin.left}
@@ -222,15 +273,19 @@ const CompletionRateChart = ({ data, averageCompletionRate, insight }) => {
           role="status"
           style={{ left: `${hoveredPoint.position.left}px`, top: `${hoveredPoint.position.top}px` }}
         >
-          <div className="chart-tooltip-heading">Episode {hoveredPoint.point.episode}</div>
+          <div className="chart-tooltip-heading">
+            Episode {hoveredPoint.point.episode}
+            {hoveredPoint.point.publishDate ? ` · ${formatPublishDate(hoveredPoint.point.publishDate)}` : null}
+          </div>
           <div className="chart-tooltip-metric">
             <span>Completion</span>
             <strong>{(hoveredPoint.point.completionRate * 100).toFixed(1)}%</strong>
           </div>
           <div className="chart-tooltip-metric">
-            <span>Rolling avg</span>
+            <span>{smoothingShortLabel(smoothing)}</span>
             <strong>{(hoveredPoint.point.completionRolling * 100).toFixed(1)}%</strong>
           </div>
+          <AnomalyReasons anomalies={flagged.get(hoveredPoint.point.episode)} />
         </div>
       ) : null}
       </div>
@@ -0,0 +1,51 @@
+import { formatCoefficient, formatPValue } from '../lib/correlation.js';
+
+const COEFFICIENTS = [
+  { key: 'spearman', label: 'Spearman ρ' },
+  { key: 'pearson', label: 'Pearson r' },
+];
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Coefficients with their 95% interval and p-value, and the strength the insight
+// wording is based on.
+const CorrelationStats = ({ correlation }) => (
+  <dl className="correlation-stats">
+    {COEFFICIENTS.map(({ key, label }) => {
+      const { coefficient, pValue, interval } = correlation[key];
+      return (
+        <div key={key}>
+          <dt>{label}</dt>
+          <dd>
+            <strong>{formatCoefficient(coefficient)}</strong>
+            {interval ? (
+              <span className="correlation-interval">
+                {' '}
+                95% CI {formatCoefficient(interval[0])} to {formatCoefficient(interval[1])}
+              </span>
+            ) : null}
+            {pValue === null ? null : <span className="correlation-p"> · {formatPValue(pValue)}</span>}
+          </dd>
+        </div>
+      );
+    })}
+    <div>
+      <dt>Strength</dt>
+      <dd>
+        <strong>
+          {capitalize(correlation.strength)}
+          {correlation.strength === 'negligible' ? '' : ` ${correlation.direction}`}
+        </strong>
+        {correlation.significant ? null : <span className="correlation-p"> · not significant</span>}
+      </dd>
+    </div>
+    <div>
+      <dt>Episodes</dt>
+      <dd>
+        <strong>{correlation.n.toLocaleString()}</strong>
+      </dd>
+    </div>
+  </dl>
+);
+
+export default CorrelationStats;
@@ -0,0 +1,54 @@
+import { useRef } from 'react';
+import ValidationReport from './ValidationReport.jsx';
+
+const DatasetImport = ({ source, importError, onImport, onRemoveFeed }) => {
+  const inputRef = useRef(null);
+
+  const handleChange = (event) => {
+    const [file] = event.target.files;
+    if (file) {
+      onImport(file);
+    }
+    // Reset so picking the same file again still fires a change event.
+    event.target.value = '';
+  };
+
+  return (
+    <div className="dataset-import">
+      {source.feed ? (
+        <span className="dataset-source">
+          Metadata from <strong>{source.feed.name}</strong> ({source.feed.matched} matched
+          {source.feed.skipped ? `, ${source.feed.skipped} feed items without an episode number` : ''})
+        </span>
+      ) : null}
+      <button type="button" className="dataset-button" onClick={() => inputRef.current?.click()}>
+        Import CSV or RSS
+      </button>
+      {source.feed ? (
+        <button type="button" className="dataset-button dataset-button-subtle" onClick={onRemoveFeed}>
+          Remove feed
+        </button>
+      ) : null}
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".csv,text/csv,.rss,.xml,application/rss+xml,application/xml,text/xml"
+        className="visually-hidden"
+        onChange={handleChange}
+        tabIndex={-1}
+        aria-hidden="true"
+      />
+      <span className="dataset-hint">or drop a metrics CSV or RSS feed anywhere on the dashboard</span>
+      {importError ? (
+        <p className="dataset-error" role="alert">
+          Couldn’t import that file: {importError.message}
+        </p>
+      ) : null}
+      {importError?.issues ? (
+        <ValidationReport issues={importError.issues} title="Import problems" defaultOpen />
+      ) : null}
+    </div>
+  );
+};
+
+export default DatasetImport;
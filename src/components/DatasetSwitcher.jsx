@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { timeFormat } from 'd3-time-format';
+
+const formatImportedAt = timeFormat('%b %-d, %Y %H:%M');
+
+const DatasetSwitcher = ({ source, datasets, storageError, onSelect, onRename, onRemove, onCompare }) => {
+  const [draftName, setDraftName] = useState(null);
+  const active = datasets.find((entry) => entry.id === source.id);
+
+  const handleRename = (event) => {
+    event.preventDefault();
+    const name = draftName.trim();
+    if (name && active) {
+      onRename(active.id, name);
+    }
+    setDraftName(null);
+  };
+
+  const handleRemove = () => {
+    if (active && window.confirm(`Delete “${active.name}” from this browser?`)) {
+      onRemove(active.id);
+    }
+  };
+
+  return (
+    <div className="dataset-switcher">
+      {draftName === null ? (
+        <>
+          <label className="dataset-source">
+            Dataset
+            <select value={source.id ?? ''} onChange={(event) => onSelect(event.target.value || null)}>
+              <option value="">Sample dataset</option>
+              {datasets.map((entry) => (
+                <option key={entry.id} value={entry.id}>
+                  {entry.name} · {formatImportedAt(new Date(entry.importedAt))}
+                  {entry.rowCount ? ` · ${entry.rowCount} episodes` : ''}
+                </option>
+              ))}
+            </select>
+          </label>
+          {active ? (
+            <>
+              <button
+                type="button"
+                className="dataset-button dataset-button-subtle"
+                onClick={() => setDraftName(active.name)}
+              >
+                Rename
+              </button>
+              <button type="button" className="dataset-button dataset-button-subtle" onClick={handleRemove}>
+                Delete
+              </button>
+            </>
+          ) : null}
+          {onCompare ? (
+            <button type="button" className="dataset-button" onClick={onCompare}>
+              Compare snapshots
+            </button>
+          ) : null}
+        </>
+      ) : (
+        <form className="dataset-rename" onSubmit={handleRename}>
+          <input
+            type="text"
+            value={draftName}
+            onChange={(event) => setDraftName(event.target.value)}
+            aria-label="Dataset name"
+            autoFocus
+          />
+          <button type="submit" className="dataset-button">
+            Save
+          </button>
+          <button type="button" className="dataset-button dataset-button-subtle" onClick={() => setDraftName(null)}>
+            Cancel
+          </button>
+        </form>
+      )}
+      {storageError ? (
+        <p className="dataset-error" role="alert">
+          Saved datasets are unavailable: {storageError.message}
+        </p>
+      ) : null}
+    </div>
+  );
+};
+
+export default DatasetSwitcher;
@@ -1,9 +1,18 @@
 import { useRef, useState } from 'react';
-import { scaleLinear } from 'd3-scale';
+import { scaleLinear, scaleTime } from 'd3-scale';
 import { extent, max } from 'd3-array';
 import { area, line, curveMonotoneX } from 'd3-shape';
 import ChartCard from './ChartCard.jsx';
+import GuestHighlight, { GuestHighlightLegendItem } from './GuestHighlight.jsx';
+import AlertHighlight, { AlertLegendItem } from './AlertHighlight.jsx';
+import AnomalyMarkers, { AnomalyReasons } from './AnomalyMarkers.jsx';
+import ForecastProjection, { ForecastLegendItem, ForecastTooltip } from './ForecastProjection.jsx';
+import GoalLines, { GoalLegendItem } from './GoalLines.jsx';
+import AxisToggle from './AxisToggle.jsx';
 import { useZoomPan } from '../hooks/useZoomPan.js';
+import { groupAnomalies } from '../lib/anomalies.js';
+import { formatPublishDate, useTimeAxis } from '../hooks/useTimeAxis.js';
+import { describeSmoothing, smoothingShortLabel } from '../lib/analytics.js';
 
 const chartDimensions = {
   width: 640,
@@ -11,44 +20,52 @@ const chartDimensions = {
   margin: { top: 24, right: 24, bottom: 42, left: 60 },
 };
 
-const DownloadsTrendChart = ({ data, insight }) => {
+const DownloadsTrendChart = ({ data, smoothing, anomalies, forecast, goals = [], alerted, highlight, insights }) => {
   const { width, height, margin } = chartDimensions;
+  const flagged = groupAnomalies(anomalies, ['downloads']);
   const [hoveredPoint, setHoveredPoint] = useState(null);
   const wrapperRef = useRef(null);
-  const baseXDomain = extent(data, (d) => d.episode);
+  const axis = useTimeAxis(data);
+  const { xValue, series } = axis;
+  const projection = forecast?.points ?? [];
+  const baseXDomain = extent([...data, ...projection], xValue);
 
   const { xDomain, zoomRef, resetZoom, xRange } = useZoomPan({
     width,
     height,
     margin,
     xDomain: baseXDomain,
+    xScaleType: axis.xScaleType,
     maxZoom: 12,
   });
 
-  const xScale = scaleLinear()
+  const xScale = (axis.isTime ? scaleTime() : scaleLinear())
     .domain(xDomain)
     .range(xRange ?? [margin.left, width - margin.right]);
 
-  const yMax = max(data, (d) => d.downloads) * 1.05;
+  const yMax =
+    max([...data.map((d) => d.downloads), ...projection.map((d) => d.upper), ...goals.map((goal) => goal.target)]) *
+    1.05;
   const yScale = scaleLinear().domain([0, yMax]).range([height - margin.bottom, margin.top]);
 
   const downloadsLine = line()
-    .x((d) => xScale(d.episode))
+    .x((d) => xScale(xValue(d)))
     .y((d) => yScale(d.downloads))
     .curve(curveMonotoneX);
 
   const rollingLine = line()
-    .x((d) => xScale(d.episode))
+    .x((d) => xScale(xValue(d)))
     .y((d) => yScale(d.downloadsRolling))
     .curve(curveMonotoneX);
 
   const downloadsArea = area()
-    .x((d) => xScale(d.episode))
+    .x((d) => xScale(xValue(d)))
     .y0(yScale(0))
     .y1((d) => yScale(d.downloads))
     .curve(curveMonotoneX);
 
   const xTicks = xScale.ticks(6);
+  const formatXTick = axis.tickFormat(xScale, 6);
   const yTicks = yScale.ticks(5);
   const latest = data[data.length - 1];
 
@@ -63,8 +80,8 @@ const DownloadsTrendChart = ({ data, insight }) => {
       return null;
     }
 
-    const svgX = xScale(point.episode);
-    const svgY = yScale(point.downloads);
+    const svgX = xScale(xValue(point));
+    const svgY = yScale(point.step ? point.value : point.downloads);
 
     const left = (svgX / width) * wrapperWidth;
     const top = (svgY / height) * wrapperHeight;
@@ -96,7 +113,7 @@ const DownloadsTrendChart = ({ data, insight }) => {
     let closestDistance = Infinity;
     let closestPosition = null;
 
-    data.forEach((point) => {
+    [...data, ...projection].forEach((point) => {
       const projected = projectPointToWrapper(point);
       if (!projected) {
         return;
@@ -127,15 +144,25 @@ const DownloadsTrendChart = ({ data, insight }) => {
     <ChartCard
       title="Downloads Momentum"
       description="Episode downloads continue to climb; the rolling average smooths the growth trend and highlights seasonal dips you can prep for."
-      insight={insight}
+      insights={insights}
+      controls={<AxisToggle mode={axis.mode} onChange={axis.setMode} hasDates={axis.hasDates} />}
       legend={
         <div className="legend">
           <span className="legend-item">
             <span className="legend-swatch" style={{ background: 'rgba(56, 189, 248, 0.45)' }} /> Episode downloads
           </span>
           <span className="legend-item">
-            <span className="legend-swatch" style={{ background: 'rgba(129, 140, 248, 0.75)' }} /> 7-episode moving average
+            <span className="legend-swatch" style={{ background: 'rgba(129, 140, 248, 0.75)' }} /> {describeSmoothing(smoothing)}
           </span>
+          {forecast ? <ForecastLegendItem forecast={forecast} /> : null}
+          <GoalLegendItem goals={goals} />
+          {flagged.size ? (
+            <span className="legend-item">
+              <span className="legend-swatch legend-swatch-anomaly" /> Anomaly
+            </span>
+          ) : null}
+          <AlertLegendItem episodes={alerted} />
+          <GuestHighlightLegendItem highlight={highlight} />
         </div>
       }
     >
@@ -157,17 +184,27 @@ const DownloadsTrendChart = ({ data, insight }) => {
             y2={yScale(tick)}
           />
         ))}
-        <path d={downloadsArea(data)} fill="url(#downloadsFill)" opacity={0.9} />
-        <path d={downloadsLine(data)} className="line-primary" />
-        <path d={rollingLine(data)} className="line-secondary" />
+        <path d={downloadsArea(series)} fill="url(#downloadsFill)" opacity={0.9} />
+        <path d={downloadsLine(series)} className="line-primary" />
+        <path d={rollingLine(series)} className="line-secondary" />
+        {projection.length ? (
+          <ForecastProjection
+            points={projection}
+            anchor={series[series.length - 1]}
+            anchorValue={series[series.length - 1].downloads}
+            x={(d) => xScale(xValue(d))}
+            yScale={yScale}
+          />
+        ) : null}
+        <GoalLines goals={goals} yScale={yScale} left={margin.left} right={width - margin.right} />
         <circle
           className="dot-highlight"
-          cx={xScale(latest.episode)}
+          cx={xScale(xValue(latest))}
           cy={yScale(latest.downloads)}
           r={5}
         />
         <text
-          x={xScale(latest.episode)}
+          x={xScale(xValue(latest))}
           y={yScale(latest.downloads) - 14}
           textAnchor="end"
           className="axis-label"
@@ -175,7 +212,7 @@ const DownloadsTrendChart = ({ data, insight }) => {
           {latest.downloads.toLocaleString()} downloads
         </text>
         {xTicks.map((tick) => (
-          <g key={`x-${tick.toFixed(3)}`}>
+          <g key={`x-${+tick}`}>
             <line
               className="grid-line"
               x1={xScale(tick)}
@@ -190,7 +227,7 @@ const DownloadsTrendChart = ({ data, insight }) => {
               textAnchor="middle"
               className="axis-label"
             >
-              Ep {Math.round(tick)}
+              {formatXTick(tick)}
             </text>
           </g>
         ))}
@@ -202,6 +239,24 @@ const DownloadsTrendChart = ({ data, insight }) => {
         >
           Downloads per episode
         </text>
+        <AnomalyMarkers
+          flagged={flagged}
+          points={series}
+          position={(d) => [xScale(xValue(d)), yScale(d.downloads)]}
+          bounds={{ left: margin.left, right: width - margin.right, top: margin.top, bottom: height - margin.bottom }}
+        />
+        <AlertHighlight
+          episodes={alerted}
+          points={series}
+          position={(d) => [xScale(xValue(d)), yScale(d.downloads)]}
+          bounds={{ left: margin.left, right: width - margin.right, top: margin.top, bottom: height - margin.bottom }}
+        />
+        <GuestHighlight
+          highlight={highlight}
+          points={series}
+          position={(d) => [xScale(xValue(d)), yScale(d.downloads)]}
+          bounds={{ left: margin.left, right: width - margin.right, top: margin.top, bottom: height - margin.bottom }}
+        />
         <rect
           ref={zoomRef}
           x={margin.left}
@@ -224,15 +279,25 @@ const DownloadsTrendChart = ({ data, insight }) => {
           role="status"
           style={{ left: `${hoveredPoint.position.left}px`, top: `${hoveredPoint.position.top}px` }}
         >
-          <div className="chart-tooltip-heading">Episode {hoveredPoint.point.episode}</div>
-          <div className="chart-tooltip-metric">
-            <span>Downloads</span>
-            <strong>{hoveredPoint.point.downloads.toLocaleString()}</strong>
-          </div>
-          <div className="chart-tooltip-metric">
-            <span>7-ep avg</span>
-            <strong>{Math.round(hoveredPoint.point.downloadsRolling).toLocaleString()}</strong>
-          </div>
+          {hoveredPoint.point.step ? (
+            <ForecastTooltip point={hoveredPoint.point} label="Downloads" />
+          ) : (
+            <>
+              <div className="chart-tooltip-heading">
+                Episode {hoveredPoint.point.episode}
+                {hoveredPoint.point.publishDate ? ` · ${formatPublishDate(hoveredPoint.point.publishDate)}` : null}
+              </div>
+              <div className="chart-tooltip-metric">
+                <span>Downloads</span>
+                <strong>{hoveredPoint.point.downloads.toLocaleString()}</strong>
+              </div>
+              <div className="chart-tooltip-metric">
+                <span>{smoothingShortLabel(smoothing)}</span>
+                <strong>{Math.round(hoveredPoint.point.downloadsRolling).toLocaleString()}</strong>
+              </div>
+              <AnomalyReasons anomalies={flagged.get(hoveredPoint.point.episode)} />
+            </>
+          )}
         </div>
       ) : null}
       </div>
@@ -0,0 +1,142 @@
+import { scaleLinear } from 'd3-scale';
+import ChartCard from './ChartCard.jsx';
+import { formatPValue } from '../lib/correlation.js';
+
+const ROW_HEIGHT = 44;
+
+const chartMargin = { top: 16, right: 72, bottom: 48, left: 150 };
+const chartWidth = 640;
+
+const formatBeta = (value) => `${value < 0 ? '−' : '+'}${Math.abs(value).toFixed(2)}`;
+
+// Standardized coefficients as horizontal bars with 95% interval whiskers. Bars whose
+// interval crosses zero are faded: the data can't tell their sign apart from noise.
+const DriverAnalysis = ({ drivers, insights }) => {
+  const description =
+    'A multiple regression of subscribers gained on five episode metrics at once. Each bar is the change in subscribers, in standard deviations, for one standard deviation more of that metric with the others held fixed.';
+
+  if (!drivers) {
+    return <ChartCard title="What Drives Subscribers?" description={description} insights={insights} />;
+  }
+
+  const { coefficients } = drivers;
+  const margin = chartMargin;
+  const width = chartWidth;
+  const height = margin.top + margin.bottom + coefficients.length * ROW_HEIGHT;
+
+  const extentMax = Math.max(...coefficients.flatMap((c) => [Math.abs(c.lower), Math.abs(c.upper)]), 0.1) * 1.1;
+  const xScale = scaleLinear()
+    .domain([-extentMax, extentMax])
+    .range([margin.left, width - margin.right])
+    .nice();
+  const xTicks = xScale.ticks(6);
+  const rowCenter = (index) => margin.top + index * ROW_HEIGHT + ROW_HEIGHT / 2;
+
+  return (
+    <ChartCard
+      title="What Drives Subscribers?"
+      description={description}
+      insights={insights}
+      legend={
+        <div className="legend">
+          <span className="legend-item">
+            <span className="legend-swatch driver-positive" /> Raises subscribers
+          </span>
+          <span className="legend-item">
+            <span className="legend-swatch driver-negative" /> Lowers subscribers
+          </span>
+          <span className="legend-item">
+            <span className="legend-swatch legend-swatch-interval" /> 95% interval
+          </span>
+          <span className="legend-item driver-fit">
+            R² {drivers.rSquared.toFixed(2)} · adjusted {drivers.adjustedRSquared.toFixed(2)} · n ={' '}
+            {drivers.n.toLocaleString()}
+          </span>
+        </div>
+      }
+    >
+      <div className="chart-svg-wrapper">
+        <svg
+          viewBox={`0 0 ${width} ${height}`}
+          role="img"
+          aria-label="Bar chart of standardized regression coefficients for subscribers gained"
+        >
+          {xTicks.map((tick) => (
+            <g key={`x-${tick}`}>
+              <line
+                className="grid-line"
+                x1={xScale(tick)}
+                x2={xScale(tick)}
+                y1={margin.top}
+                y2={height - margin.bottom}
+              />
+              <text x={xScale(tick)} y={height - margin.bottom + 18} textAnchor="middle" className="axis-label">
+                {tick === 0 ? '0' : formatBeta(tick)}
+              </text>
+            </g>
+          ))}
+          <line
+            className="driver-zero"
+            x1={xScale(0)}
+            x2={xScale(0)}
+            y1={margin.top}
+            y2={height - margin.bottom}
+          />
+          {coefficients.map((coefficient, index) => {
+            const y = rowCenter(index);
+            const uncertain = coefficient.lower <= 0 && coefficient.upper >= 0;
+            const barStart = Math.min(xScale(0), xScale(coefficient.estimate));
+            return (
+              <g key={coefficient.key} className={uncertain ? 'driver-row driver-uncertain' : 'driver-row'}>
+                <title>
+                  {`${coefficient.label}: β ${formatBeta(coefficient.estimate)} (95% CI ${formatBeta(coefficient.lower)} to ${formatBeta(coefficient.upper)}), ${formatPValue(coefficient.pValue)}`}
+                </title>
+                <text x={margin.left - 12} y={y + 4} textAnchor="end" className="axis-label">
+                  {coefficient.label}
+                </text>
+                <rect
+                  x={barStart}
+                  y={y - ROW_HEIGHT * 0.3}
+                  width={Math.abs(xScale(coefficient.estimate) - xScale(0))}
+                  height={ROW_HEIGHT * 0.6}
+                  rx={3}
+                  className={coefficient.estimate < 0 ? 'driver-bar driver-negative' : 'driver-bar driver-positive'}
+                />
+                <line
+                  className="driver-interval"
+                  x1={xScale(coefficient.lower)}
+                  x2={xScale(coefficient.upper)}
+                  y1={y}
+                  y2={y}
+                />
+                {[coefficient.lower, coefficient.upper].map((bound, boundIndex) => (
+                  <line
+                    key={boundIndex}
+                    className="driver-interval"
+                    x1={xScale(bound)}
+                    x2={xScale(bound)}
+                    y1={y - 6}
+                    y2={y + 6}
+                  />
+                ))}
+                <text x={width - margin.right + 10} y={y + 4} className="axis-label">
+                  {formatBeta(coefficient.estimate)}
+                </text>
+              </g>
+            );
+          })}
+          <text x={(margin.left + width - margin.right) / 2} y={height - 8} textAnchor="middle" className="axis-label">
+            Standardized coefficient (β)
+          </text>
+        </svg>
+      </div>
+      {drivers.excluded.length ? (
+        <p className="chart-description">
+          Left out because they never vary: {drivers.excluded.map((predictor) => predictor.label).join(', ')}.
+        </p>
+      ) : null}
+    </ChartCard>
+  );
+};
+
+export default DriverAnalysis;
@@ -0,0 +1,272 @@
+import { useEffect, useState } from 'react';
+import { scaleBand, scaleLinear } from 'd3-scale';
+import ChartCard from './ChartCard.jsx';
+import { DURATION_BUCKET_METRICS, MAX_DURATION_EDGES, isValidDurationEdges } from '../lib/durationBuckets.js';
+
+const boxDimensions = {
+  width: 640,
+  height: 250,
+  margin: { top: 28, right: 12, bottom: 40, left: 48 },
+  gap: 36,
+};
+
+const histogramDimensions = {
+  width: 640,
+  height: 190,
+  margin: { top: 20, right: 24, bottom: 40, left: 48 },
+};
+
+const formatters = {
+  completionRate: (value) => `${(value * 100).toFixed(0)}%`,
+  downloads: (value) => (value >= 10000 ? `${Math.round(value / 1000)}k` : Math.round(value).toLocaleString()),
+  subscribersGained: (value) => Math.round(value).toLocaleString(),
+};
+
+const formatEdges = (edges) => edges.join(', ');
+
+const parseEdges = (text) =>
+  text
+    .split(/[,\s]+/)
+    .filter(Boolean)
+    .map(Number);
+
+const EdgesControl = ({ edges, onChange }) => {
+  const [draft, setDraft] = useState(formatEdges(edges));
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setDraft(formatEdges(edges));
+    setError(null);
+  }, [edges]);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const next = parseEdges(draft);
+    if (!isValidDurationEdges(next)) {
+      setError(`Use 1 to ${MAX_DURATION_EDGES} increasing minute values`);
+      return;
+    }
+    setError(null);
+    onChange(next);
+  };
+
+  return (
+    <form className="duration-edges-control" onSubmit={handleSubmit}>
+      <label>
+        Bucket edges (min)
+        <input
+          type="text"
+          value={draft}
+          onChange={(event) => setDraft(event.target.value)}
+          onBlur={handleSubmit}
+          className={error ? 'is-invalid' : undefined}
+          title={error ?? undefined}
+          aria-invalid={error ? true : undefined}
+        />
+      </label>
+    </form>
+  );
+};
+
+// One small box plot per metric, buckets along x. Whiskers reach the furthest points
+// within 1.5 IQR of the box; points beyond are drawn individually.
+const BoxPlots = ({ buckets, sweetSpot }) => {
+  const { width, height, margin, gap } = boxDimensions;
+  const panelWidth =
+    (width - margin.left - margin.right - gap * (DURATION_BUCKET_METRICS.length - 1)) /
+    DURATION_BUCKET_METRICS.length;
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-label="Box plots of completion rate, downloads, and subscribers gained by episode length"
+    >
+      {DURATION_BUCKET_METRICS.map((metric, panel) => {
+        const left = margin.left + panel * (panelWidth + gap);
+        const boxes = buckets.map((bucket) => bucket.metrics[metric.key]).filter(Boolean);
+        const low = Math.min(...boxes.map((box) => box.min));
+        const high = Math.max(...boxes.map((box) => box.max));
+        const yScale = scaleLinear()
+          .domain(low === high ? [low * 0.9, high * 1.1 || 1] : [low, high])
+          .range([height - margin.bottom, margin.top])
+          .nice(4);
+        const xScale = scaleBand()
+          .domain(buckets.map((bucket) => bucket.key))
+          .range([left, left + panelWidth])
+          .padding(0.3);
+        const format = formatters[metric.key];
+        return (
+          <g key={metric.key}>
+            <text x={left} y={margin.top - 12} className="axis-label">
+              {metric.label}
+            </text>
+            {yScale.ticks(4).map((tick) => (
+              <g key={tick}>
+                <line className="grid-line" x1={left} x2={left + panelWidth} y1={yScale(tick)} y2={yScale(tick)} />
+                <text x={left - 6} y={yScale(tick) + 4} textAnchor="end" className="axis-label">
+                  {format(tick)}
+                </text>
+              </g>
+            ))}
+            {buckets.map((bucket) => {
+              const box = bucket.metrics[metric.key];
+              const x = xScale(bucket.key);
+              const center = x + xScale.bandwidth() / 2;
+              return (
+                <g
+                  key={bucket.key}
+                  className={bucket.key === sweetSpot ? 'duration-box is-sweet-spot' : 'duration-box'}
+                >
+                  <text x={center} y={height - margin.bottom + 16} textAnchor="middle" className="axis-label">
+                    {bucket.label}
+                  </text>
+                  {box ? (
+                    <>
+                      <title>
+                        {`${bucket.label} min (${bucket.count} episodes): median ${format(box.median)}, middle half ${format(box.q1)}–${format(box.q3)}`}
+                      </title>
+                      <line
+                        className="duration-whisker"
+                        x1={center}
+                        x2={center}
+                        y1={yScale(box.lowerWhisker)}
+                        y2={yScale(box.upperWhisker)}
+                      />
+                      <rect
+                        className="duration-box-body"
+                        x={x}
+                        width={xScale.bandwidth()}
+                        y={yScale(box.q3)}
+                        height={Math.max(1, yScale(box.q1) - yScale(box.q3))}
+                        rx={2}
+                      />
+                      <line
+                        className="duration-median"
+                        x1={x}
+                        x2={x + xScale.bandwidth()}
+                        y1={yScale(box.median)}
+                        y2={yScale(box.median)}
+                      />
+                      {box.outliers.map((outlier) => (
+                        <circle
+                          key={outlier.episode}
+                          className="duration-outlier"
+                          cx={center}
+                          cy={yScale(outlier.value)}
+                          r={2.5}
+                        />
+                      ))}
+                    </>
+                  ) : (
+                    <text
+                      x={center}
+                      y={(margin.top + height - margin.bottom) / 2}
+                      textAnchor="middle"
+                      className="axis-label"
+                    >
+                      —
+                    </text>
+                  )}
+                </g>
+              );
+            })}
+          </g>
+        );
+      })}
+      <text x={width / 2} y={height - 6} textAnchor="middle" className="axis-label">
+        Episode length (minutes)
+      </text>
+    </svg>
+  );
+};
+
+// Episode counts by length, with the bucket edges marked.
+const LengthHistogram = ({ histogram, edges }) => {
+  const { width, height, margin } = histogramDimensions;
+  const xScale = scaleLinear()
+    .domain([histogram[0].x0, histogram[histogram.length - 1].x1])
+    .range([margin.left, width - margin.right]);
+  const yScale = scaleLinear()
+    .domain([0, Math.max(...histogram.map((group) => group.count))])
+    .range([height - margin.bottom, margin.top])
+    .nice(4);
+  const [domainStart, domainEnd] = xScale.domain();
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Histogram of episode lengths">
+      {yScale.ticks(4).map((tick) => (
+        <g key={tick}>
+          <line className="grid-line" x1={margin.left} x2={width - margin.right} y1={yScale(tick)} y2={yScale(tick)} />
+          <text x={margin.left - 8} y={yScale(tick) + 4} textAnchor="end" className="axis-label">
+            {tick}
+          </text>
+        </g>
+      ))}
+      {histogram.map((group) => (
+        <rect
+          key={group.x0}
+          className="duration-histogram-bar"
+          x={xScale(group.x0) + 1}
+          width={Math.max(0, xScale(group.x1) - xScale(group.x0) - 2)}
+          y={yScale(group.count)}
+          height={yScale(0) - yScale(group.count)}
+        >
+          <title>{`${group.x0}–${group.x1} min: ${group.count} episode${group.count === 1 ? '' : 's'}`}</title>
+        </rect>
+      ))}
+      {edges
+        .filter((edge) => edge > domainStart && edge < domainEnd)
+        .map((edge) => (
+          <line
+            key={edge}
+            className="duration-edge"
+            x1={xScale(edge)}
+            x2={xScale(edge)}
+            y1={margin.top - 8}
+            y2={height - margin.bottom}
+          />
+        ))}
+      {xScale.ticks(8).map((tick) => (
+        <text key={tick} x={xScale(tick)} y={height - margin.bottom + 16} textAnchor="middle" className="axis-label">
+          {tick}
+        </text>
+      ))}
+      <text x={(margin.left + width - margin.right) / 2} y={height - 6} textAnchor="middle" className="axis-label">
+        Episode length (minutes)
+      </text>
+    </svg>
+  );
+};
+
+// Runtime buckets: distributions per bucket and the spread of episode lengths, to
+// look for a sweet-spot length that a single trend line would hide.
+const DurationBuckets = ({ durationBuckets, edges, onEdgesChange, insights }) => (
+  <ChartCard
+    title="Episode Length Buckets"
+    description="Completion rate, downloads, and subscribers gained for each runtime bucket (box: middle half of episodes; line: median), and how episode lengths are spread. The sweet-spot bucket, with the highest median completion, is highlighted."
+    insights={insights}
+    controls={<EdgesControl edges={edges} onChange={onEdgesChange} />}
+    legend={
+      <div className="legend">
+        {durationBuckets.buckets.map((bucket) => (
+          <span key={bucket.key} className="legend-item">
+            {bucket.label} min: {bucket.count} episode{bucket.count === 1 ? '' : 's'}
+          </span>
+        ))}
+        <span className="legend-item">
+          <span className="legend-swatch legend-swatch-edge" /> Bucket edge
+        </span>
+      </div>
+    }
+  >
+    <div className="chart-svg-wrapper">
+      <BoxPlots buckets={durationBuckets.buckets} sweetSpot={durationBuckets.sweetSpot} />
+    </div>
+    <div className="chart-svg-wrapper">
+      <LengthHistogram histogram={durationBuckets.histogram} edges={durationBuckets.edges} />
+    </div>
+  </ChartCard>
+);
+
+export default DurationBuckets;
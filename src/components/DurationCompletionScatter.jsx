@@ -1,8 +1,13 @@
-import { useRef, useState } from 'react';
+import { useMemo, useRef, useState } from 'react';
 import { scaleLinear } from 'd3-scale';
 import { extent, min, max } from 'd3-array';
 import ChartCard from './ChartCard.jsx';
+import GuestHighlight, { GuestHighlightLegendItem } from './GuestHighlight.jsx';
+import CorrelationStats from './CorrelationStats.jsx';
+import FitControl from './FitControl.jsx';
+import FitCurve, { FitLegendItem } from './FitCurve.jsx';
 import { useZoomPan } from '../hooks/useZoomPan.js';
+import { useScatterFit } from '../hooks/useScatterFit.js';
 
 const chartDimensions = {
   width: 640,
@@ -10,37 +15,31 @@ const chartDimensions = {
   margin: { top: 24, right: 32, bottom: 52, left: 68 },
 };
 
-const regressionLine = (points) => {
-  const n = points.length;
-  const sumX = points.reduce((acc, p) => acc + p.x, 0);
-  const sumY = points.reduce((acc, p) => acc + p.y, 0);
-  const sumXY = points.reduce((acc, p) => acc + p.x * p.y, 0);
-  const sumXX = points.reduce((acc, p) => acc + p.x * p.x, 0);
-  const denominator = n * sumXX - sumX * sumX;
-  if (denominator === 0) {
-    return { slope: 0, intercept: 0 };
-  }
-  const slope = (n * sumXY - sumX * sumY) / denominator;
-  const intercept = (sumY - slope * sumX) / n;
-  return { slope, intercept };
-};
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+const formatPoints = (value) => `${value > 0 ? '+' : ''}${(value * 100).toFixed(1)} pts`;
 
-const DurationCompletionScatter = ({ data, insight }) => {
+const DurationCompletionScatter = ({ data, correlation, highlight, insights }) => {
   const { width, height, margin } = chartDimensions;
 
   const [hoveredPoint, setHoveredPoint] = useState(null);
   const wrapperRef = useRef(null);
 
-  const points = data.map((d) => ({
-    x: d.durationMinutes,
-    y: d.completionRate,
-    episode: d.episode,
-  }));
+  const points = useMemo(
+    () =>
+      data.map((d) => ({
+        x: d.durationMinutes,
+        y: d.completionRate,
+        episode: d.episode,
+      })),
+    [data],
+  );
+  const { method, setMethod, showResiduals, setShowResiduals, fit, plotted } = useScatterFit(points);
 
   const xDomain = extent(points, (d) => d.x);
-  const yMin = Math.min(0.45, min(points, (d) => d.y) - 0.02);
-  const yMax = Math.max(0.95, max(points, (d) => d.y) + 0.02);
-  const yDomain = [yMin, yMax];
+  const residualReach = (max(plotted, (d) => Math.abs(d.y)) || 0.05) * 1.15;
+  const yDomain = showResiduals
+    ? [-residualReach, residualReach]
+    : [Math.min(0.45, min(points, (d) => d.y) - 0.02), Math.max(0.95, max(points, (d) => d.y) + 0.02)];
 
   const { xDomain: zoomedXDomain, yDomain: zoomedYDomain, zoomRef, resetZoom, xRange, yRange } = useZoomPan({
     width,
@@ -58,12 +57,6 @@ const DurationCompletionScatter = ({ data, insight }) => {
     .domain(zoomedYDomain)
     .range(yRange ?? [height - margin.bottom, margin.top]);
 
-  const regression = regressionLine(points);
-  const regressionSegment = [
-    { x: zoomedXDomain[0], y: regression.slope * zoomedXDomain[0] + regression.intercept },
-    { x: zoomedXDomain[1], y: regression.slope * zoomedXDomain[1] + regression.intercept },
-  ];
-
   const yTicks = yScale.ticks(5);
   const xTicks = xScale.ticks(6);
 
@@ -115,7 +108,7 @@ const DurationCompletionScatter = ({ data, insight }) => {
     let closestDistance = Infinity;
     let closestPosition = null;
 
-    points.forEach((point) => {
+    plotted.forEach((point) => {
       const projected = projectPointToWrapper(point);
       if (!projected) {
         return;
@@ -146,7 +139,16 @@ const DurationCompletionScatter = ({ data, insight }) => {
     <ChartCard
       title="Episode Duration vs Completion"
       description="Check whether tighter edits or longer conversations keep listeners engaged, and cluster runtimes that need rethinking."
-      insight={insight}
+      insights={insights}
+      controls={
+        <FitControl
+          fit={fit}
+          method={method}
+          onMethodChange={setMethod}
+          showResiduals={showResiduals}
+          onShowResidualsChange={setShowResiduals}
+        />
+      }
       legend={
         <div className="legend">
           <span className="legend-item">
@@ -155,6 +157,8 @@ const DurationCompletionScatter = ({ data, insight }) => {
           <span className="legend-item">
             <span className="legend-swatch" style={{ background: '#facc15' }} /> Highest completion
           </span>
+          <FitLegendItem fit={fit} showResiduals={showResiduals} />
+          <GuestHighlightLegendItem highlight={highlight} />
         </div>
       }
     >
@@ -175,18 +179,14 @@ const DurationCompletionScatter = ({ data, insight }) => {
               textAnchor="end"
               className="axis-label"
             >
-              {(tick * 100).toFixed(0)}%
+              {showResiduals
+                ? `${tick > 0 ? '+' : ''}${(tick * 100).toFixed(0)} pts`
+                : `${(tick * 100).toFixed(0)}%`}
             </text>
           </g>
         ))}
-        <line
-          x1={xScale(regressionSegment[0].x)}
-          x2={xScale(regressionSegment[1].x)}
-          y1={yScale(regressionSegment[0].y)}
-          y2={yScale(regressionSegment[1].y)}
-          className="line-secondary"
-        />
-          {points.map((point) => {
+        {fit ? <FitCurve fit={fit} showResiduals={showResiduals} xScale={xScale} yScale={yScale} /> : null}
+          {plotted.map((point) => {
             const isBest = point.episode === bestCompletion.episode;
             return (
               <circle
@@ -195,7 +195,7 @@ const DurationCompletionScatter = ({ data, insight }) => {
                 cy={yScale(point.y)}
                 r={isBest ? 6 : 4}
                 className={isBest ? 'dot-highlight' : 'dot'}
-                aria-label={`Episode ${point.episode} duration ${point.x.toFixed(1)} minutes completion ${(point.y * 100).toFixed(1)} percent`}
+                aria-label={`Episode ${point.episode} duration ${point.x.toFixed(1)} minutes completion ${((point.actual ?? point.y) * 100).toFixed(1)} percent`}
               />
             );
           })}
@@ -223,8 +223,14 @@ const DurationCompletionScatter = ({ data, insight }) => {
           textAnchor="middle"
           className="axis-label"
         >
-          Completion rate
+          {showResiduals ? 'Completion rate − fit' : 'Completion rate'}
         </text>
+          <GuestHighlight
+            highlight={highlight}
+            points={plotted}
+            position={(p) => [xScale(p.x), yScale(p.y)]}
+            bounds={{ left: margin.left, right: width - margin.right, top: margin.top, bottom: height - margin.bottom }}
+          />
           <rect
             ref={zoomRef}
             x={margin.left}
@@ -254,11 +260,18 @@ const DurationCompletionScatter = ({ data, insight }) => {
             </div>
             <div className="chart-tooltip-metric">
               <span>Completion</span>
-              <strong>{(hoveredPoint.point.y * 100).toFixed(1)}%</strong>
+              <strong>{formatPercent(hoveredPoint.point.actual ?? hoveredPoint.point.y)}</strong>
             </div>
+            {showResiduals ? (
+              <div className="chart-tooltip-metric">
+                <span>Residual</span>
+                <strong>{formatPoints(hoveredPoint.point.y)}</strong>
+              </div>
+            ) : null}
           </div>
         ) : null}
       </div>
+      {correlation ? <CorrelationStats correlation={correlation} /> : null}
     </ChartCard>
   );
 };
@@ -0,0 +1,229 @@
+import { useEffect, useState } from 'react';
+import { timeFormat, timeParse } from 'd3-time-format';
+import { parseDurationInput } from '../lib/parseEpisodes.js';
+import { formatDuration } from '../lib/format.js';
+
+const PAGE_SIZE = 25;
+
+const formatIsoDay = timeFormat('%Y-%m-%d');
+const parseIsoDay = timeParse('%Y-%m-%d');
+
+const COLUMNS = [
+  { key: 'episode', label: 'Ep', type: 'readonly' },
+  { key: 'title', label: 'Title', type: 'text' },
+  { key: 'guest', label: 'Guest', type: 'text' },
+  { key: 'description', label: 'Description', type: 'text' },
+  { key: 'publishDate', label: 'Published', type: 'date' },
+  { key: 'durationMinutes', label: 'Duration', type: 'duration' },
+  { key: 'downloads', label: 'Downloads', type: 'count' },
+  { key: 'completionNumbers', label: 'Completions', type: 'count' },
+  { key: 'newListeners', label: 'New', type: 'count' },
+  { key: 'returningListeners', label: 'Returning', type: 'count' },
+  { key: 'subscribersGained', label: 'Subs gained', type: 'count' },
+  { key: 'socialMediaShares', label: 'Shares', type: 'count' },
+];
+
+const toDraft = (type, value) => {
+  if (value === null || value === undefined) return '';
+  if (type === 'date') return formatIsoDay(value);
+  if (type === 'duration') return formatDuration(value);
+  return String(value);
+};
+
+// Returns { value } for a valid draft or { error } describing why it was refused.
+const parseDraft = (column, draft, row) => {
+  const trimmed = draft.trim();
+  switch (column.type) {
+    case 'count': {
+      const number = Number(trimmed);
+      if (trimmed === '' || !Number.isInteger(number) || number < 0) {
+        return { error: 'Enter a whole number of zero or more' };
+      }
+      if (column.key === 'completionNumbers' && number > row.downloads) {
+        return { error: 'Completions can’t exceed downloads' };
+      }
+      if (column.key === 'downloads' && number < row.completionNumbers) {
+        return { error: 'Downloads can’t be below completions' };
+      }
+      return { value: number };
+    }
+    case 'duration': {
+      const minutes = parseDurationInput(trimmed);
+      return minutes && minutes > 0 ? { value: minutes } : { error: 'Use HH:MM:SS or MM:SS' };
+    }
+    case 'date': {
+      if (!trimmed) return { value: null };
+      const date = parseIsoDay(trimmed);
+      return date ? { value: date } : { error: 'Use YYYY-MM-DD' };
+    }
+    default:
+      return { value: draft };
+  }
+};
+
+const sameValue = (a, b) => (a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : a === b);
+
+const EditableCell = ({ column, row, onCommit }) => {
+  const value = row[column.key];
+  const [draft, setDraft] = useState(() => toDraft(column.type, value));
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setDraft(toDraft(column.type, value));
+    setError(null);
+  }, [column.type, value]);
+
+  const commit = () => {
+    const result = parseDraft(column, draft, row);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    setError(null);
+    if (!sameValue(result.value, value)) {
+      onCommit(row.episode, { [column.key]: result.value });
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.currentTarget.blur();
+    } else if (event.key === 'Escape') {
+      setDraft(toDraft(column.type, value));
+      setError(null);
+    }
+  };
+
+  return (
+    <input
+      type={column.type === 'date' ? 'date' : 'text'}
+      inputMode={column.type === 'count' ? 'numeric' : undefined}
+      className={error ? 'editor-input is-invalid' : 'editor-input'}
+      value={draft}
+      onChange={(event) => setDraft(event.target.value)}
+      onBlur={commit}
+      onKeyDown={handleKeyDown}
+      title={error ?? undefined}
+      aria-invalid={error ? true : undefined}
+      aria-label={`${column.label} for episode ${row.episode}`}
+    />
+  );
+};
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined || a === '') return 1;
+  if (b === null || b === undefined || b === '') return -1;
+  if (typeof a === 'string') return a.localeCompare(b);
+  return a - b;
+};
+
+const exportFileName = (name) => `${name.replace(/\.csv$/i, '')}-edited.csv`;
+
+// `rejectedCount` is how many source rows failed validation; they aren't in `episodes`,
+// so the export can't include them.
+const EpisodeEditor = ({ episodes, sourceName, canUndo, onUpdate, onUndo, onExport, rejectedCount = 0 }) => {
+  const [sort, setSort] = useState({ key: 'episode', direction: 1 });
+  const [page, setPage] = useState(0);
+
+  const sorted = [...episodes].sort((a, b) => compareValues(a[sort.key], b[sort.key]) * sort.direction);
+  const pageCount = Math.max(1, Math.ceil(sorted.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const visible = sorted.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+
+  const toggleSort = (key) => {
+    setSort((prev) => ({ key, direction: prev.key === key ? -prev.direction : 1 }));
+    setPage(0);
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([onExport()], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = exportFileName(sourceName);
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <details className="episode-editor chart-card">
+      <summary>
+        <h2>Episode data</h2>
+      </summary>
+      <p className="chart-description">
+        Edit any value and press Enter; completion rates, rolling averages, and every chart update immediately.
+        Export writes the file back with its original columns and formats.
+        {rejectedCount
+          ? ` The ${rejectedCount.toLocaleString()} ${rejectedCount === 1 ? 'row' : 'rows'} rejected on import (listed in the validation report) ${rejectedCount === 1 ? 'is' : 'are'} left out.`
+          : null}
+      </p>
+      <div className="editor-toolbar">
+        <button type="button" className="dataset-button" onClick={onUndo} disabled={!canUndo}>
+          Undo
+        </button>
+        <button type="button" className="dataset-button" onClick={handleExport}>
+          Export CSV
+        </button>
+        <span className="editor-pagination">
+          <button
+            type="button"
+            className="dataset-button dataset-button-subtle"
+            onClick={() => setPage(currentPage - 1)}
+            disabled={currentPage === 0}
+          >
+            Previous
+          </button>
+          Page {currentPage + 1} of {pageCount}
+          <button
+            type="button"
+            className="dataset-button dataset-button-subtle"
+            onClick={() => setPage(currentPage + 1)}
+            disabled={currentPage >= pageCount - 1}
+          >
+            Next
+          </button>
+        </span>
+      </div>
+      <div className="editor-table-wrapper">
+        <table className="editor-table">
+          <thead>
+            <tr>
+              {COLUMNS.map((column) => (
+                <th
+                  key={column.key}
+                  scope="col"
+                  aria-sort={
+                    sort.key === column.key ? (sort.direction === 1 ? 'ascending' : 'descending') : undefined
+                  }
+                >
+                  <button type="button" onClick={() => toggleSort(column.key)}>
+                    {column.label}
+                    {sort.key === column.key ? (sort.direction === 1 ? ' ▲' : ' ▼') : null}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((row) => (
+              <tr key={row.episode}>
+                {COLUMNS.map((column) => (
+                  <td key={column.key} className={`editor-cell-${column.type}`}>
+                    {column.type === 'readonly' ? (
+                      row[column.key]
+                    ) : (
+                      <EditableCell column={column} row={row} onCommit={onUpdate} />
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+};
+
+export default EpisodeEditor;
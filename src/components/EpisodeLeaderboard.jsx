@@ -0,0 +1,141 @@
+import { useMemo, useRef, useState } from 'react';
+import { extent } from 'd3-array';
+import { LEADERBOARD_METRICS, percentileRanks, sparklineSeries } from '../lib/leaderboard.js';
+
+// Rows are a fixed height so only the ones in view (plus a margin) are rendered;
+// the rest are stood in for by two spacer rows.
+const ROW_HEIGHT = 34;
+const VIEWPORT_HEIGHT = 420;
+const OVERSCAN = 8;
+
+const SPARKLINE_WIDTH = 72;
+const SPARKLINE_HEIGHT = 18;
+
+const percentileClass = (rank) => {
+  if (rank >= 90) return 'percentile-badge percentile-top';
+  if (rank <= 10) return 'percentile-badge percentile-bottom';
+  return 'percentile-badge';
+};
+
+const sparklinePath = (values) => {
+  const [low, high] = extent(values);
+  const span = high - low || 1;
+  const step = values.length > 1 ? SPARKLINE_WIDTH / (values.length - 1) : 0;
+  return values
+    .map((value, index) => {
+      const x = index * step;
+      const y = SPARKLINE_HEIGHT - 1 - ((value - low) / span) * (SPARKLINE_HEIGHT - 2);
+      return `${index === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join('');
+};
+
+// Every episode ranked by any raw or derived metric, with each value's percentile
+// within the catalog and a sparkline of the metric over time in its column header.
+const EpisodeLeaderboard = ({ episodes }) => {
+  const [sort, setSort] = useState({ key: 'subscribersPerThousandDownloads', direction: -1 });
+  const [scrollTop, setScrollTop] = useState(0);
+  const viewportRef = useRef(null);
+
+  const ranks = useMemo(() => percentileRanks(episodes), [episodes]);
+  const sparklines = useMemo(
+    () =>
+      Object.fromEntries(
+        LEADERBOARD_METRICS.map((metric) => [metric.key, sparklinePath(sparklineSeries(episodes, metric.key))]),
+      ),
+    [episodes],
+  );
+  const sorted = useMemo(
+    () => [...episodes].sort((a, b) => (a[sort.key] - b[sort.key]) * sort.direction || a.episode - b.episode),
+    [episodes, sort],
+  );
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(sorted.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const visible = sorted.slice(first, last);
+
+  const toggleSort = (key) => {
+    setSort((prev) => ({ key, direction: prev.key === key ? -prev.direction : -1 }));
+    if (viewportRef.current) {
+      viewportRef.current.scrollTop = 0;
+    }
+    setScrollTop(0);
+  };
+
+  const sortButton = (key, label) => (
+    <button type="button" onClick={() => toggleSort(key)}>
+      {label}
+      {sort.key === key ? (sort.direction === 1 ? ' ▲' : ' ▼') : null}
+    </button>
+  );
+
+  const ariaSort = (key) => (sort.key === key ? (sort.direction === 1 ? 'ascending' : 'descending') : undefined);
+
+  return (
+    <section className="episode-leaderboard chart-card" aria-labelledby="episode-leaderboard-title">
+      <h2 id="episode-leaderboard-title">Episode leaderboard</h2>
+      <p className="chart-description">
+        Sort by any column to rank episodes. Badges give each value’s percentile within the catalog (P90 beats 90% of
+        the other episodes), and the line under each heading traces that metric from the first episode to the latest.
+      </p>
+      <div
+        className="leaderboard-viewport"
+        ref={viewportRef}
+        style={{ maxHeight: `${VIEWPORT_HEIGHT}px` }}
+        onScroll={(event) => setScrollTop(event.currentTarget.scrollTop)}
+      >
+        <table className="leaderboard-table" aria-rowcount={sorted.length + 1}>
+          <thead>
+            <tr aria-rowindex={1}>
+              <th scope="col">#</th>
+              <th scope="col" aria-sort={ariaSort('episode')}>
+                {sortButton('episode', 'Ep')}
+              </th>
+              <th scope="col">Title</th>
+              {LEADERBOARD_METRICS.map((metric) => (
+                <th key={metric.key} scope="col" aria-sort={ariaSort(metric.key)}>
+                  {sortButton(metric.key, metric.label)}
+                  <svg
+                    className="leaderboard-sparkline"
+                    width={SPARKLINE_WIDTH}
+                    height={SPARKLINE_HEIGHT}
+                    viewBox={`0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`}
+                    aria-hidden="true"
+                  >
+                    <path d={sparklines[metric.key]} />
+                  </svg>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {first > 0 ? <tr aria-hidden="true" style={{ height: `${first * ROW_HEIGHT}px` }} /> : null}
+            {visible.map((row, index) => (
+              <tr key={row.episode} aria-rowindex={first + index + 2} style={{ height: `${ROW_HEIGHT}px` }}>
+                <td className="leaderboard-rank">{first + index + 1}</td>
+                <th scope="row">{row.episode}</th>
+                <td className="leaderboard-title" title={row.title}>
+                  {row.title}
+                </td>
+                {LEADERBOARD_METRICS.map((metric) => {
+                  const rank = ranks.get(metric.key).get(row.episode);
+                  return (
+                    <td key={metric.key}>
+                      {metric.format(row[metric.key])}{' '}
+                      <span className={percentileClass(rank)}>P{Math.round(rank)}</span>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+            {last < sorted.length ? (
+              <tr aria-hidden="true" style={{ height: `${(sorted.length - last) * ROW_HEIGHT}px` }} />
+            ) : null}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+};
+
+export default EpisodeLeaderboard;
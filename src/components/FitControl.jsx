@@ -0,0 +1,31 @@
+import { FIT_METHODS } from '../lib/curveFit.js';
+
+// Picks the curve fitted to a scatter plot and switches the points to residuals.
+const FitControl = ({ fit, method, onMethodChange, showResiduals, onShowResidualsChange }) => (
+  <div className="fit-control" role="group" aria-label="Curve fit">
+    <label>
+      Fit
+      <select value={method} onChange={(event) => onMethodChange(event.target.value)}>
+        {FIT_METHODS.map((option) => (
+          <option key={option.key} value={option.key}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </label>
+    <div className="axis-toggle">
+      <button
+        type="button"
+        className={showResiduals ? 'is-active' : undefined}
+        aria-pressed={showResiduals}
+        onClick={() => onShowResidualsChange(!showResiduals)}
+        disabled={!fit}
+        title={fit ? 'Plot how far each episode sits from the fit' : 'Not enough episodes to fit this curve'}
+      >
+        Residuals
+      </button>
+    </div>
+  </div>
+);
+
+export default FitControl;
@@ -0,0 +1,44 @@
+import { area, line } from 'd3-shape';
+
+const SAMPLES = 80;
+
+// The fitted curve with its 95% confidence band across the visible x range, or in
+// residual mode the zero line the residuals are measured from. Values are held to
+// the visible y range so a steep polynomial tail can't spill over the axes.
+const FitCurve = ({ fit, showResiduals, xScale, yScale }) => {
+  const [x0, x1] = xScale.domain();
+  if (showResiduals) {
+    return <line className="fit-zero" x1={xScale(x0)} x2={xScale(x1)} y1={yScale(0)} y2={yScale(0)} />;
+  }
+  const [yLow, yHigh] = yScale.domain();
+  const clamp = (value) => Math.min(Math.max(value, yLow), yHigh);
+  const samples = Array.from({ length: SAMPLES + 1 }, (_, i) => {
+    const x = x0 + ((x1 - x0) * i) / SAMPLES;
+    return { x, ...fit.predict(x) };
+  });
+  const band = area()
+    .x((d) => xScale(d.x))
+    .y0((d) => yScale(clamp(d.lower)))
+    .y1((d) => yScale(clamp(d.upper)));
+  const curve = line()
+    .x((d) => xScale(d.x))
+    .y((d) => yScale(clamp(d.value)));
+  return (
+    <g className="fit" aria-hidden="true">
+      <path d={band(samples)} className="fit-band" />
+      <path d={curve(samples)} className="line-secondary" />
+    </g>
+  );
+};
+
+// Legend entry, with R² so readers can compare how much each fit explains.
+export const FitLegendItem = ({ fit, showResiduals }) =>
+  fit ? (
+    <span className="legend-item">
+      <span className="legend-swatch legend-swatch-fit" />{' '}
+      {showResiduals ? `Residuals (${fit.label} fit)` : `${fit.label} fit (95% band)`}
+      {fit.rSquared === null ? null : <span className="fit-r-squared">· R² {fit.rSquared.toFixed(2)}</span>}
+    </span>
+  ) : null;
+
+export default FitCurve;
@@ -0,0 +1,16 @@
+import { FORECAST_HORIZONS } from '../lib/forecast.js';
+
+const ForecastControl = ({ horizon, onChange }) => (
+  <label className="forecast-control">
+    Forecast
+    <select value={horizon} onChange={(event) => onChange(Number(event.target.value))}>
+      {FORECAST_HORIZONS.map((option) => (
+        <option key={option} value={option}>
+          {option === 0 ? 'Off' : `Next ${option} episodes`}
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
+export default ForecastControl;
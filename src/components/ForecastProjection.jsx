@@ -0,0 +1,56 @@
+import { area, line } from 'd3-shape';
+import { formatPublishDate } from '../hooks/useTimeAxis.js';
+
+const formatCount = (value) => Math.round(value).toLocaleString();
+
+// Dashed projection with a shaded 95% band. The first segment starts at `anchor`
+// (the last actual point, plotted at `anchorValue`) so the projection joins the line.
+const ForecastProjection = ({ points, anchor, anchorValue, x, yScale }) => {
+  const path = [{ ...anchor, value: anchorValue, lower: anchorValue, upper: anchorValue }, ...points];
+  const band = area()
+    .x(x)
+    .y0((d) => yScale(d.lower))
+    .y1((d) => yScale(d.upper));
+  const projection = line()
+    .x(x)
+    .y((d) => yScale(d.value));
+  return (
+    <g className="forecast" aria-hidden="true">
+      <path d={band(path)} className="forecast-band" />
+      <path d={projection(path)} className="line-forecast" />
+    </g>
+  );
+};
+
+// Legend entry, with the backtest error so readers know how far to trust the projection.
+export const ForecastLegendItem = ({ forecast }) => (
+  <span className="legend-item">
+    <span className="legend-swatch legend-swatch-forecast" /> Forecast (95% band)
+    {forecast.backtest ? (
+      <span className="forecast-backtest">
+        · backtest error {forecast.backtest.mape.toFixed(1)}% over the last {forecast.backtest.episodes} episodes
+      </span>
+    ) : null}
+  </span>
+);
+
+export const ForecastTooltip = ({ point, label }) => (
+  <>
+    <div className="chart-tooltip-heading">
+      Forecast · Episode {point.episode}
+      {point.publishDate ? ` · ${formatPublishDate(point.publishDate)}` : null}
+    </div>
+    <div className="chart-tooltip-metric">
+      <span>{label}</span>
+      <strong>{formatCount(point.value)}</strong>
+    </div>
+    <div className="chart-tooltip-metric">
+      <span>95% range</span>
+      <strong>
+        {formatCount(point.lower)}–{formatCount(point.upper)}
+      </strong>
+    </div>
+  </>
+);
+
+export default ForecastProjection;
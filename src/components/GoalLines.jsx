@@ -0,0 +1,27 @@
+import { GOAL_METRICS, formatDeadline } from '../lib/goals.js';
+
+const formatters = Object.fromEntries(GOAL_METRICS.map((metric) => [metric.key, metric.format]));
+
+// A labelled horizontal line at each goal's target, spanning the plot from `left`
+// to `right`.
+const GoalLines = ({ goals, yScale, left, right }) => (
+  <g className="goal-lines" aria-hidden="true">
+    {goals.map((goal) => (
+      <g key={goal.id} className={`goal-line goal-${goal.status}`}>
+        <line x1={left} x2={right} y1={yScale(goal.target)} y2={yScale(goal.target)} />
+        <text x={right - 4} y={yScale(goal.target) - 6} textAnchor="end" className="axis-label">
+          Goal {formatters[goal.metric](goal.target)} by {formatDeadline(goal.deadline)}
+        </text>
+      </g>
+    ))}
+  </g>
+);
+
+export const GoalLegendItem = ({ goals }) =>
+  goals.length ? (
+    <span className="legend-item">
+      <span className="legend-swatch legend-swatch-goal" /> {goals.length === 1 ? 'Goal' : 'Goals'}
+    </span>
+  ) : null;
+
+export default GoalLines;
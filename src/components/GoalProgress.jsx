@@ -0,0 +1,44 @@
+import { GOAL_METRICS, GOAL_STATUSES, formatDeadline } from '../lib/goals.js';
+
+const formatters = Object.fromEntries(GOAL_METRICS.map((metric) => [metric.key, metric.format]));
+
+// When the trend gets there, or where it ends up instead.
+const statusDetail = (goal, format) => {
+  if (goal.status === 'on-track' && goal.reachedEpisode) {
+    return ` by Ep ${goal.reachedEpisode}`;
+  }
+  return goal.status === 'off-track' ? ` (${format(goal.projected)})` : '';
+};
+
+// Progress bars for a summary strip item. `goals` are evaluated goals (goalProgress)
+// for any metric; only those for `metric` are shown.
+const GoalProgress = ({ goals, metric }) =>
+  goals
+    .filter((goal) => goal.metric === metric)
+    .map((goal) => {
+      const format = formatters[goal.metric];
+      const percent = Math.round(goal.progress * 100);
+      return (
+        <div key={goal.id} className="goal-progress">
+          <div
+            className="goal-progress-track"
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={percent}
+            aria-label={`${goal.label} goal progress`}
+          >
+            <span className={`goal-progress-fill goal-${goal.status}`} style={{ width: `${percent}%` }} />
+          </div>
+          <small className="summary-caption">
+            {percent}% of {format(goal.target)} by {formatDeadline(goal.deadline)}
+          </small>
+          <small className={`summary-caption goal-status goal-${goal.status}`}>
+            {GOAL_STATUSES[goal.status]}
+            {statusDetail(goal, format)}
+          </small>
+        </div>
+      );
+    });
+
+export default GoalProgress;
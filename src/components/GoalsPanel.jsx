@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import { GOAL_METRICS, GOAL_STATUSES, formatDeadline, isValidGoals } from '../lib/goals.js';
+import { createId } from '../lib/ids.js';
+
+const metricsByKey = new Map(GOAL_METRICS.map((metric) => [metric.key, metric]));
+
+const GoalForm = ({ goals, onChange }) => {
+  const [metricKey, setMetricKey] = useState(GOAL_METRICS[0].key);
+  const [target, setTarget] = useState('');
+  const [deadlineType, setDeadlineType] = useState('episode');
+  const [deadline, setDeadline] = useState('');
+  const [error, setError] = useState(null);
+  const metric = metricsByKey.get(metricKey);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const goal = {
+      id: createId(),
+      metric: metricKey,
+      target: Number(target) / metric.inputScale,
+      deadline: deadlineType === 'episode' ? { episode: Number(deadline) } : { date: deadline },
+    };
+    const next = [...goals, goal];
+    if (!isValidGoals(next)) {
+      setError('Enter a positive target and a deadline episode number or date.');
+      return;
+    }
+    onChange(next);
+    setTarget('');
+    setDeadline('');
+    setError(null);
+  };
+
+  return (
+    <form className="goal-form" onSubmit={handleSubmit}>
+      <label>
+        Metric
+        <select value={metricKey} onChange={(event) => setMetricKey(event.target.value)}>
+          {GOAL_METRICS.map((option) => (
+            <option key={option.key} value={option.key}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Target{metric.inputSuffix ? ` (${metric.inputSuffix})` : ''}
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={target}
+          onChange={(event) => setTarget(event.target.value)}
+          placeholder={metric.inputSuffix ? '75' : '2000'}
+        />
+      </label>
+      <label>
+        Deadline
+        <select
+          value={deadlineType}
+          onChange={(event) => {
+            setDeadlineType(event.target.value);
+            setDeadline('');
+          }}
+        >
+          <option value="episode">Episode</option>
+          <option value="date">Date</option>
+        </select>
+      </label>
+      <label>
+        {deadlineType === 'episode' ? 'Episode' : 'Date'}
+        <input
+          type={deadlineType === 'episode' ? 'number' : 'date'}
+          min={deadlineType === 'episode' ? '1' : undefined}
+          value={deadline}
+          onChange={(event) => setDeadline(event.target.value)}
+        />
+      </label>
+      <button type="submit" className="dataset-button">
+        Add goal
+      </button>
+      {error ? (
+        <p className="dataset-error" role="alert">
+          {error}
+        </p>
+      ) : null}
+    </form>
+  );
+};
+
+// Saved KPI goals with their projected outcome. `goals` are the definitions and
+// `goalProgress` their evaluation against the current data; `onGoalsChange` saves a
+// new list.
+const GoalsPanel = ({ goals, goalProgress, onGoalsChange }) => (
+  <section className="goals-panel chart-card" aria-labelledby="goals-title">
+    <h2 id="goals-title">Goals</h2>
+    <p className="chart-description">
+      Set targets for subscribers, completion, or downloads. Progress shows in the summary strip, targets are drawn on
+      the matching chart, and the outlook comes from extending the current trend (the same model as the forecast) to
+      the deadline. Date deadlines need publish dates on every episode.
+    </p>
+    {goalProgress.length ? (
+      <ul className="goal-list">
+        {goalProgress.map((goal) => {
+          const { format } = metricsByKey.get(goal.metric);
+          return (
+            <li key={goal.id}>
+              <strong>{goal.label}</strong> {format(goal.target)} by {formatDeadline(goal.deadline)}: now{' '}
+              {format(goal.current)}
+              {goal.projected === null ? '' : `, ${format(goal.projected)} projected`} ·{' '}
+              <span className={`goal-status goal-${goal.status}`}>{GOAL_STATUSES[goal.status]}</span>
+              <button
+                type="button"
+                className="dataset-button dataset-button-subtle"
+                onClick={() => onGoalsChange(goals.filter((existing) => existing.id !== goal.id))}
+              >
+                Remove
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    ) : null}
+    <details className="goal-editor">
+      <summary>Add a goal</summary>
+      <GoalForm goals={goals} onChange={onGoalsChange} />
+    </details>
+  </section>
+);
+
+export default GoalsPanel;
@@ -0,0 +1,27 @@
+// Rings around the episodes of the guest picked in the leaderboard. `highlight` is
+// { name, episodes: Set of episode numbers }; `points`, `position`, and `bounds` work
+// as they do for AnomalyMarkers.
+const GuestHighlight = ({ highlight, points, position, bounds }) =>
+  highlight ? (
+    <g className="guest-highlight" aria-hidden="true">
+      {points.map((point) => {
+        if (!highlight.episodes.has(point.episode)) {
+          return null;
+        }
+        const [x, y] = position(point);
+        if (x < bounds.left || x > bounds.right || y < bounds.top || y > bounds.bottom) {
+          return null;
+        }
+        return <circle key={point.episode} cx={x} cy={y} r={9} className="guest-highlight-ring" />;
+      })}
+    </g>
+  ) : null;
+
+export const GuestHighlightLegendItem = ({ highlight }) =>
+  highlight ? (
+    <span className="legend-item">
+      <span className="legend-swatch legend-swatch-guest" /> {highlight.name}
+    </span>
+  ) : null;
+
+export default GuestHighlight;
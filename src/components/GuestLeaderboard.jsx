@@ -0,0 +1,87 @@
+import { GUEST_METRICS } from '../lib/guests.js';
+import { deltaClass, formatSignedNumber } from '../lib/format.js';
+
+const formatters = {
+  downloads: (value) => Math.round(value).toLocaleString(),
+  completionRate: (value) => `${(value * 100).toFixed(1)}%`,
+  subscribersGained: (value) => value.toFixed(1),
+  socialMediaShares: (value) => Math.round(value).toLocaleString(),
+};
+
+const MedianDelta = ({ metric, value }) =>
+  value === null ? null : (
+    <small className={`guest-delta ${deltaClass(value)}`}>
+      {formatSignedNumber(value, 0)}
+      {metric === 'completionRate' ? ' pts' : '%'}
+    </small>
+  );
+
+// `highlighted` is the selected guest's name (or null); `onHighlight(name | null)`
+// toggles which guest's episodes are ringed on the charts.
+const GuestLeaderboard = ({ guests, highlighted, onHighlight }) => (
+  <section className="guest-leaderboard chart-card" aria-labelledby="guest-leaderboard-title">
+    <div className="chart-card-header">
+      <h2 id="guest-leaderboard-title">Guests</h2>
+      {highlighted ? (
+        <button type="button" className="dataset-button dataset-button-subtle" onClick={() => onHighlight(null)}>
+          Clear highlight
+        </button>
+      ) : null}
+    </div>
+    <p className="chart-description">
+      Each guest's average per appearance, with the difference from the catalog median underneath. Episodes with
+      several guests count toward each of them. Highlight a guest to ring their episodes on every chart.
+    </p>
+    {guests.length ? (
+      <div className="guest-table-wrapper">
+        <table className="guest-table">
+          <thead>
+            <tr>
+              <th scope="col">Guest</th>
+              <th scope="col">Episodes</th>
+              {GUEST_METRICS.map((metric) => (
+                <th key={metric.key} scope="col">
+                  {metric.label}
+                </th>
+              ))}
+              <th scope="col">
+                <span className="visually-hidden">Highlight</span>
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {guests.map((guest) => {
+              const isHighlighted = guest.name === highlighted;
+              return (
+                <tr key={guest.name} className={isHighlighted ? 'guest-row-highlighted' : undefined}>
+                  <th scope="row">{guest.name}</th>
+                  <td title={guest.episodes.map((episode) => `Ep ${episode}`).join(', ')}>{guest.appearances}</td>
+                  {GUEST_METRICS.map(({ key }) => (
+                    <td key={key}>
+                      {formatters[key](guest.averages[key])}
+                      <MedianDelta metric={key} value={guest.versusMedian[key]} />
+                    </td>
+                  ))}
+                  <td>
+                    <button
+                      type="button"
+                      className="dataset-button dataset-button-subtle"
+                      aria-pressed={isHighlighted}
+                      onClick={() => onHighlight(isHighlighted ? null : guest.name)}
+                    >
+                      {isHighlighted ? 'Highlighted' : 'Highlight'}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    ) : (
+      <p className="chart-description">No guests are listed in this dataset.</p>
+    )}
+  </section>
+);
+
+export default GuestLeaderboard;
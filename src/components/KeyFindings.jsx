@@ -0,0 +1,23 @@
+import { keyFindings } from '../lib/insightEngine.js';
+
+// The highest-ranked insights from every rule, across all charts.
+const KeyFindings = ({ insights }) => {
+  const findings = keyFindings(insights);
+  if (!findings.length) {
+    return null;
+  }
+  return (
+    <section className="key-findings chart-card" aria-labelledby="key-findings-title">
+      <h2 id="key-findings-title">Key findings</h2>
+      <ol className="chart-insights">
+        {findings.map((finding) => (
+          <li key={finding.id} className={`chart-insight insight-${finding.severity}`}>
+            {finding.message}
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+};
+
+export default KeyFindings;
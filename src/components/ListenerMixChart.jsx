@@ -1,9 +1,13 @@
 import { useRef, useState } from 'react';
-import { scaleLinear } from 'd3-scale';
+import { scaleLinear, scaleTime } from 'd3-scale';
 import { extent } from 'd3-array';
 import { area, curveMonotoneX, stack } from 'd3-shape';
 import ChartCard from './ChartCard.jsx';
+import GuestHighlight, { GuestHighlightLegendItem } from './GuestHighlight.jsx';
+import AlertHighlight, { AlertLegendItem } from './AlertHighlight.jsx';
+import AxisToggle from './AxisToggle.jsx';
 import { useZoomPan } from '../hooks/useZoomPan.js';
+import { formatPublishDate, useTimeAxis } from '../hooks/useTimeAxis.js';
 
 const chartDimensions = {
   width: 640,
@@ -11,28 +15,30 @@ const chartDimensions = {
   margin: { top: 24, right: 24, bottom: 42, left: 60 },
 };
 
-const ListenerMixChart = ({ data, insight }) => {
+const ListenerMixChart = ({ data, alerted, highlight, insights }) => {
   const { width, height, margin } = chartDimensions;
   const [hoveredPoint, setHoveredPoint] = useState(null);
   const wrapperRef = useRef(null);
-
-  const baseXDomain = extent(data, (d) => d.episode);
+  const axis = useTimeAxis(data);
+  const { xValue, series } = axis;
+  const baseXDomain = extent(data, xValue);
 
   const { xDomain, zoomRef, resetZoom, xRange } = useZoomPan({
     width,
     height,
     margin,
     xDomain: baseXDomain,
+    xScaleType: axis.xScaleType,
     maxZoom: 12,
   });
 
-  const xScale = scaleLinear()
+  const xScale = (axis.isTime ? scaleTime() : scaleLinear())
     .domain(xDomain)
     .range(xRange ?? [margin.left, width - margin.right]);
 
   const yScale = scaleLinear().domain([0, 1]).range([height - margin.bottom, margin.top]);
 
-  const shareData = data.map((d) => ({
+  const shareData = series.map((d) => ({
     newShare: d.listenersTotal === 0 ? 0 : d.newListeners / d.listenersTotal,
     returningShare: d.listenersTotal === 0 ? 0 : d.returningListeners / d.listenersTotal,
   }));
@@ -40,13 +46,14 @@ const ListenerMixChart = ({ data, insight }) => {
   const stacked = stack().keys(['returningShare', 'newShare'])(shareData);
 
   const areaGenerator = area()
-    .x((_, idx) => xScale(data[idx].episode))
+    .x((_, idx) => xScale(xValue(series[idx])))
     .y0((d) => yScale(d[0]))
     .y1((d) => yScale(d[1]))
     .curve(curveMonotoneX);
 
   const yTicks = [0, 0.25, 0.5, 0.75, 1];
   const xTicks = xScale.ticks(6);
+  const formatXTick = axis.tickFormat(xScale, 6);
 
   const projectPointToWrapper = (point) => {
     const wrapper = wrapperRef.current;
@@ -59,7 +66,7 @@ const ListenerMixChart = ({ data, insight }) => {
       return null;
     }
 
-    const svgX = xScale(point.episode);
+    const svgX = xScale(xValue(point));
     const newShare = point.listenersTotal === 0 ? 0 : point.newListeners / point.listenersTotal;
     const svgY = yScale(newShare / 2);
 
@@ -124,7 +131,8 @@ const ListenerMixChart = ({ data, insight }) => {
     <ChartCard
       title="Listener Mix"
       description="See how the audience blend between new and returning listeners shifts, so you can balance acquisition campaigns and retention hooks."
-      insight={insight}
+      insights={insights}
+      controls={<AxisToggle mode={axis.mode} onChange={axis.setMode} hasDates={axis.hasDates} />}
       legend={
         <div className="legend">
           <span className="legend-item">
@@ -133,6 +141,8 @@ const ListenerMixChart = ({ data, insight }) => {
           <span className="legend-item">
             <span className="legend-swatch stack-new" /> New listeners
           </span>
+          <AlertLegendItem episodes={alerted} />
+          <GuestHighlightLegendItem highlight={highlight} />
         </div>
       }
     >
@@ -161,13 +171,13 @@ const ListenerMixChart = ({ data, insight }) => {
         <path d={areaGenerator(stacked[1])} className="stack-new" />
         {xTicks.map((tick) => (
           <text
-            key={`x-${tick.toFixed(3)}`}
+            key={`x-${+tick}`}
             x={xScale(tick)}
             y={height - margin.bottom + 28}
             textAnchor="middle"
             className="axis-label"
           >
-            Ep {Math.round(tick)}
+            {formatXTick(tick)}
           </text>
         ))}
         <text
@@ -178,6 +188,18 @@ const ListenerMixChart = ({ data, insight }) => {
         >
           Audience share
         </text>
+        <AlertHighlight
+          episodes={alerted}
+          points={series}
+          position={(d) => [xScale(xValue(d)), yScale(d.listenersTotal === 0 ? 0 : d.returningListeners / d.listenersTotal)]}
+          bounds={{ left: margin.left, right: width - margin.right, top: margin.top, bottom: height - margin.bottom }}
+        />
+        <GuestHighlight
+          highlight={highlight}
+          points={series}
+          position={(d) => [xScale(xValue(d)), yScale(d.listenersTotal === 0 ? 0 : d.returningListeners / d.listenersTotal)]}
+          bounds={{ left: margin.left, right: width - margin.right, top: margin.top, bottom: height - margin.bottom }}
+        />
         <rect
           ref={zoomRef}
           x={margin.left}
@@ -200,7 +222,10 @@ const ListenerMixChart = ({ data, insight }) => {
           role="status"
           style={{ left: `${hoveredPoint.position.left}px`, top: `${hoveredPoint.position.top}px` }}
         >
-          <div className="chart-tooltip-heading">Episode {hoveredPoint.point.episode}</div>
+          <div className="chart-tooltip-heading">
+            Episode {hoveredPoint.point.episode}
+            {hoveredPoint.point.publishDate ? ` · ${formatPublishDate(hoveredPoint.point.publishDate)}` : null}
+          </div>
           <div className="chart-tooltip-metric">
             <span>New listeners</span>
             <strong>{hoveredPoint.point.newListeners.toLocaleString()}</strong>
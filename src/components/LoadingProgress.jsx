@@ -0,0 +1,17 @@
+const PHASE_LABELS = {
+  parse: 'Parsing episodes',
+  analyze: 'Computing metrics',
+};
+
+// `progress` is { phase, fraction } from usePodcastData: the share of rows parsed, or
+// of analysis stages done.
+const LoadingProgress = ({ progress }) => (
+  <div className="loading-progress" role="status">
+    <span>
+      {PHASE_LABELS[progress.phase]}… {Math.round(progress.fraction * 100)}%
+    </span>
+    <progress max="1" value={progress.fraction} />
+  </div>
+);
+
+export default LoadingProgress;
@@ -0,0 +1,302 @@
+import { useRef, useState } from 'react';
+import { scaleLinear, scaleTime } from 'd3-scale';
+import { extent, max } from 'd3-array';
+import { line, curveMonotoneX } from 'd3-shape';
+import ChartCard from './ChartCard.jsx';
+import AxisToggle from './AxisToggle.jsx';
+import { useZoomPan } from '../hooks/useZoomPan.js';
+import { formatPublishDate, useTimeAxis } from '../hooks/useTimeAxis.js';
+
+const chartDimensions = {
+  width: 640,
+  height: 360,
+  margin: { top: 24, right: 24, bottom: 42, left: 60 },
+};
+
+const TITLE = 'Listener Retention';
+const DESCRIPTION =
+  'Estimate how many new listeners come back and how fast the returning audience drifts away, from the new and returning counts of consecutive episodes.';
+
+const formatCount = (value) => Math.round(value).toLocaleString();
+const formatRate = (value) => `${(value * 100).toFixed(1)}%`;
+
+// The fitted rates and how well the replayed model tracks the actual returning count.
+const RetentionStats = ({ retention }) => (
+  <dl className="retention-stats">
+    <div>
+      <dt>First return</dt>
+      <dd>
+        <strong>{formatRate(retention.firstReturnRate)}</strong>
+        <span className="retention-note"> of new listeners</span>
+      </dd>
+    </div>
+    <div>
+      <dt>Churn</dt>
+      <dd>
+        <strong>{formatRate(retention.churnRate)}</strong>
+        <span className="retention-note">
+          {' '}
+          per release{retention.periodDays ? ` (about every ${retention.periodDays} days)` : ''}
+        </span>
+      </dd>
+    </div>
+    <div>
+      <dt>Half-life</dt>
+      <dd>
+        <strong>{retention.halfLife === null ? '—' : `${retention.halfLife.toFixed(1)} releases`}</strong>
+      </dd>
+    </div>
+    <div>
+      <dt>Model fit</dt>
+      <dd>
+        <strong>{retention.rSquared === null ? '—' : `R² ${retention.rSquared.toFixed(2)}`}</strong>
+      </dd>
+    </div>
+  </dl>
+);
+
+const RetentionModelChart = ({ retention, insights }) => {
+  const { width, height, margin } = chartDimensions;
+  const [hoveredPoint, setHoveredPoint] = useState(null);
+  const wrapperRef = useRef(null);
+  const axis = useTimeAxis(retention.series);
+  const { xValue, series } = axis;
+  const cohorts = new Map(retention.cohorts.map((cohort) => [cohort.episode, cohort]));
+
+  const { xDomain, zoomRef, resetZoom, xRange } = useZoomPan({
+    width,
+    height,
+    margin,
+    xDomain: extent(retention.series, xValue),
+    xScaleType: axis.xScaleType,
+    maxZoom: 12,
+  });
+
+  const xScale = (axis.isTime ? scaleTime() : scaleLinear())
+    .domain(xDomain)
+    .range(xRange ?? [margin.left, width - margin.right]);
+
+  const yScale = scaleLinear()
+    .domain([0, max(retention.series, (d) => Math.max(d.actual, d.modeled)) * 1.1 || 1])
+    .range([height - margin.bottom, margin.top])
+    .nice();
+
+  const pathFor = (key) =>
+    line()
+      .x((d) => xScale(xValue(d)))
+      .y((d) => yScale(d[key]))
+      .curve(curveMonotoneX)(series);
+
+  const yTicks = yScale.ticks(5);
+  const xTicks = xScale.ticks(6);
+  const formatXTick = axis.tickFormat(xScale, 6);
+
+  const projectPointToWrapper = (point) => {
+    const wrapper = wrapperRef.current;
+    if (!wrapper) {
+      return null;
+    }
+
+    const { width: wrapperWidth, height: wrapperHeight } = wrapper.getBoundingClientRect();
+    if (wrapperWidth === 0 || wrapperHeight === 0) {
+      return null;
+    }
+
+    const left = (xScale(xValue(point)) / width) * wrapperWidth;
+    const top = (yScale(point.actual) / height) * wrapperHeight;
+
+    const horizontalPadding = 12;
+    const verticalPadding = 20;
+
+    return {
+      left: Math.min(Math.max(left, horizontalPadding), wrapperWidth - horizontalPadding),
+      top: Math.min(Math.max(top, verticalPadding), wrapperHeight - verticalPadding),
+    };
+  };
+
+  const handlePointerMove = (event) => {
+    if (!wrapperRef.current) {
+      return;
+    }
+
+    if (event.buttons > 0) {
+      setHoveredPoint(null);
+      return;
+    }
+
+    const wrapperRect = wrapperRef.current.getBoundingClientRect();
+    const pointerX = event.clientX - wrapperRect.left;
+    const pointerY = event.clientY - wrapperRect.top;
+
+    let closestPoint = null;
+    let closestDistance = Infinity;
+    let closestPosition = null;
+
+    series.forEach((point) => {
+      const projected = projectPointToWrapper(point);
+      if (!projected) {
+        return;
+      }
+
+      const distance = Math.hypot(projected.left - pointerX, projected.top - pointerY);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestPoint = point;
+        closestPosition = projected;
+      }
+    });
+
+    const activationRadius = Math.max(24, Math.min(wrapperRect.width, wrapperRect.height) * 0.05);
+
+    if (closestPoint && closestDistance <= activationRadius) {
+      setHoveredPoint({ point: closestPoint, position: closestPosition });
+    } else {
+      setHoveredPoint(null);
+    }
+  };
+
+  const handlePointerLeave = () => {
+    setHoveredPoint(null);
+  };
+
+  const hoveredCohort = hoveredPoint ? cohorts.get(hoveredPoint.point.episode) : null;
+
+  return (
+    <ChartCard
+      title={TITLE}
+      description={DESCRIPTION}
+      insights={insights}
+      controls={<AxisToggle mode={axis.mode} onChange={axis.setMode} hasDates={axis.hasDates} />}
+      legend={
+        <div className="legend">
+          <span className="legend-item">
+            <span className="legend-swatch" style={{ background: '#38bdf8' }} /> Actual returning listeners
+          </span>
+          <span className="legend-item">
+            <span className="legend-swatch legend-swatch-modeled" /> Modeled returning base
+          </span>
+        </div>
+      }
+    >
+      <div className="chart-svg-wrapper" ref={wrapperRef}>
+        <svg
+          viewBox={`0 0 ${width} ${height}`}
+          role="img"
+          aria-label="Line chart of actual versus modeled returning listeners"
+        >
+          {yTicks.map((tick) => (
+            <g key={`y-${tick}`}>
+              <line
+                className="grid-line"
+                x1={margin.left}
+                x2={width - margin.right}
+                y1={yScale(tick)}
+                y2={yScale(tick)}
+              />
+              <text x={margin.left - 16} y={yScale(tick) + 4} textAnchor="end" className="axis-label">
+                {tick.toLocaleString()}
+              </text>
+            </g>
+          ))}
+          <path d={pathFor('actual')} className="line-primary" />
+          <path d={pathFor('modeled')} className="line-secondary" />
+          {xTicks.map((tick) => (
+            <text
+              key={`x-${+tick}`}
+              x={xScale(tick)}
+              y={height - margin.bottom + 28}
+              textAnchor="middle"
+              className="axis-label"
+            >
+              {formatXTick(tick)}
+            </text>
+          ))}
+          <text x={margin.left - 10} y={margin.top} textAnchor="end" className="axis-label">
+            Returning listeners
+          </text>
+          <rect
+            ref={zoomRef}
+            x={margin.left}
+            y={margin.top}
+            width={width - margin.left - margin.right}
+            height={height - margin.top - margin.bottom}
+            fill="transparent"
+            className="interaction-layer"
+            onDoubleClick={resetZoom}
+            onPointerMove={handlePointerMove}
+            onPointerLeave={handlePointerLeave}
+            aria-hidden="true"
+          >
+            <title>Drag to pan, scroll to zoom, double-click to reset</title>
+          </rect>
+        </svg>
+        {hoveredPoint ? (
+          <div
+            className="chart-tooltip"
+            role="status"
+            style={{ left: `${hoveredPoint.position.left}px`, top: `${hoveredPoint.position.top}px` }}
+          >
+            <div className="chart-tooltip-heading">
+              Episode {hoveredPoint.point.episode}
+              {hoveredPoint.point.publishDate ? ` · ${formatPublishDate(hoveredPoint.point.publishDate)}` : null}
+            </div>
+            <div className="chart-tooltip-metric">
+              <span>Returning</span>
+              <strong>{hoveredPoint.point.actual.toLocaleString()}</strong>
+            </div>
+            <div className="chart-tooltip-metric">
+              <span>Modeled</span>
+              <strong>{formatCount(hoveredPoint.point.modeled)}</strong>
+            </div>
+            <div className="chart-tooltip-metric">
+              <span>New listeners</span>
+              <strong>{hoveredCohort.newListeners.toLocaleString()}</strong>
+            </div>
+            <div className="chart-tooltip-metric">
+              <span>Back next release</span>
+              <strong>~{formatCount(hoveredCohort.returnNext)}</strong>
+            </div>
+            {hoveredCohort.stillReturning === null ? null : (
+              <div className="chart-tooltip-metric">
+                <span>Still returning now</span>
+                <strong>~{formatCount(hoveredCohort.stillReturning)}</strong>
+              </div>
+            )}
+          </div>
+        ) : null}
+      </div>
+      <RetentionStats retention={retention} />
+      <details className="retention-assumptions">
+        <summary>Assumptions</summary>
+        <ul>
+          <li>
+            Listener exports only give counts, so no one is followed individually: each release, a fixed share of
+            the previous episode’s new listeners comes back, and the returning base loses a fixed share.
+          </li>
+          <li>
+            Both rates are fitted by least squares on consecutive episodes and held between 0% and 100%; churn is
+            per release, whatever the gap between releases.
+          </li>
+          <li>
+            The modeled line starts from the first episode’s returning count and is driven only by new listeners
+            after that, so where it parts from the actual line, something other than steady retention is at work
+            (a promotion, a back-catalog binge, a change in how listeners are counted).
+          </li>
+          <li>Cohort figures in the tooltip are model expectations, not observed listeners.</li>
+        </ul>
+      </details>
+    </ChartCard>
+  );
+};
+
+// Modeled returning base (replayed from new-listener counts with the fitted rates)
+// against the actual returning listeners, with the model's assumptions spelled out.
+// `retention` is null until there are enough episodes to fit the model.
+const RetentionChart = ({ retention, insights }) =>
+  retention ? (
+    <RetentionModelChart retention={retention} insights={insights} />
+  ) : (
+    <ChartCard title={TITLE} description={DESCRIPTION} insights={insights} />
+  );
+
+export default RetentionChart;
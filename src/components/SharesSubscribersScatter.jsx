@@ -1,8 +1,16 @@
-import { useRef, useState } from 'react';
+import { useMemo, useRef, useState } from 'react';
 import { scaleLinear } from 'd3-scale';
 import { extent, max } from 'd3-array';
 import ChartCard from './ChartCard.jsx';
+import GuestHighlight, { GuestHighlightLegendItem } from './GuestHighlight.jsx';
+import AlertHighlight, { AlertLegendItem } from './AlertHighlight.jsx';
+import CorrelationStats from './CorrelationStats.jsx';
+import AnomalyMarkers, { AnomalyReasons } from './AnomalyMarkers.jsx';
+import FitControl from './FitControl.jsx';
+import FitCurve, { FitLegendItem } from './FitCurve.jsx';
 import { useZoomPan } from '../hooks/useZoomPan.js';
+import { useScatterFit } from '../hooks/useScatterFit.js';
+import { groupAnomalies } from '../lib/anomalies.js';
 
 const chartDimensions = {
   width: 640,
@@ -10,35 +18,32 @@ const chartDimensions = {
   margin: { top: 24, right: 32, bottom: 52, left: 68 },
 };
 
-const calculateRegression = (points) => {
-  const n = points.length;
-  const sumX = points.reduce((acc, p) => acc + p.x, 0);
-  const sumY = points.reduce((acc, p) => acc + p.y, 0);
-  const sumXY = points.reduce((acc, p) => acc + p.x * p.y, 0);
-  const sumXX = points.reduce((acc, p) => acc + p.x * p.x, 0);
-  const denominator = n * sumXX - sumX * sumX;
-  if (denominator === 0) {
-    return { slope: 0, intercept: sumY / n || 0 };
-  }
-  const slope = (n * sumXY - sumX * sumY) / denominator;
-  const intercept = (sumY - slope * sumX) / n;
-  return { slope, intercept };
+const formatResidual = (value) => {
+  const sign = value > 0 ? '+' : value < 0 ? '−' : '';
+  return `${sign}${Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 1 })}`;
 };
 
-const SharesSubscribersScatter = ({ data, insight }) => {
+const SharesSubscribersScatter = ({ data, anomalies, correlation, alerted, highlight, insights }) => {
   const { width, height, margin } = chartDimensions;
+  const flagged = groupAnomalies(anomalies, ['socialMediaShares', 'subscribersGained']);
   const [hoveredPoint, setHoveredPoint] = useState(null);
   const wrapperRef = useRef(null);
 
-  const points = data.map((d) => ({
-    x: d.socialMediaShares,
-    y: d.subscribersGained,
-    episode: d.episode,
-    title: d.title,
-  }));
+  const points = useMemo(
+    () =>
+      data.map((d) => ({
+        x: d.socialMediaShares,
+        y: d.subscribersGained,
+        episode: d.episode,
+        title: d.title,
+      })),
+    [data],
+  );
+  const { method, setMethod, showResiduals, setShowResiduals, fit, plotted } = useScatterFit(points);
 
   const xDomain = extent(points, (p) => p.x);
-  const yDomain = [0, max(points, (p) => p.y) * 1.1];
+  const residualReach = (max(plotted, (p) => Math.abs(p.y)) || 1) * 1.15;
+  const yDomain = showResiduals ? [-residualReach, residualReach] : [0, max(points, (p) => p.y) * 1.1];
 
   const { xDomain: zoomedXDomain, yDomain: zoomedYDomain, zoomRef, resetZoom, xRange, yRange } = useZoomPan({
     width,
@@ -56,12 +61,6 @@ const SharesSubscribersScatter = ({ data, insight }) => {
     .domain(zoomedYDomain)
     .range(yRange ?? [height - margin.bottom, margin.top]);
 
-  const regression = calculateRegression(points);
-  const regressionLine = [
-    { x: zoomedXDomain[0], y: regression.slope * zoomedXDomain[0] + regression.intercept },
-    { x: zoomedXDomain[1], y: regression.slope * zoomedXDomain[1] + regression.intercept },
-  ];
-
   const topShare = points.reduce((maxPoint, point) =>
     point.x > maxPoint.x ? point : maxPoint
   );
@@ -113,7 +112,7 @@ const SharesSubscribersScatter = ({ data, insight }) => {
     let closestDistance = Infinity;
     let closestPosition = null;
 
-    points.forEach((point) => {
+    plotted.forEach((point) => {
       const projected = projectPointToWrapper(point);
       if (!projected) {
         return;
@@ -144,7 +143,16 @@ const SharesSubscribersScatter = ({ data, insight }) => {
     <ChartCard
       title="Social Share Conversion"
       description="Correlate social push energy with subscriber lift to decide where to double down on promotion."
-      insight={insight}
+      insights={insights}
+      controls={
+        <FitControl
+          fit={fit}
+          method={method}
+          onMethodChange={setMethod}
+          showResiduals={showResiduals}
+          onShowResidualsChange={setShowResiduals}
+        />
+      }
       legend={
         <div className="legend">
           <span className="legend-item">
@@ -153,6 +161,14 @@ const SharesSubscribersScatter = ({ data, insight }) => {
           <span className="legend-item">
             <span className="legend-swatch" style={{ background: 'rgba(250, 204, 21, 0.9)' }} /> Highest share push
           </span>
+          <FitLegendItem fit={fit} showResiduals={showResiduals} />
+          {flagged.size ? (
+            <span className="legend-item">
+              <span className="legend-swatch legend-swatch-anomaly" /> Anomaly
+            </span>
+          ) : null}
+          <AlertLegendItem episodes={alerted} />
+          <GuestHighlightLegendItem highlight={highlight} />
         </div>
       }
     >
@@ -177,14 +193,8 @@ const SharesSubscribersScatter = ({ data, insight }) => {
             </text>
           </g>
         ))}
-        <line
-          x1={xScale(regressionLine[0].x)}
-          x2={xScale(regressionLine[1].x)}
-          y1={yScale(regressionLine[0].y)}
-          y2={yScale(regressionLine[1].y)}
-          className="line-secondary"
-        />
-        {points.map((point) => {
+        {fit ? <FitCurve fit={fit} showResiduals={showResiduals} xScale={xScale} yScale={yScale} /> : null}
+        {plotted.map((point) => {
           const isHighlight = point.episode === topShare.episode;
           return (
             <circle
@@ -196,7 +206,7 @@ const SharesSubscribersScatter = ({ data, insight }) => {
             >
               <title>
                 {`Ep ${point.episode}: ${point.title}
-${point.x} shares → ${point.y} subscribers`}
+${point.x} shares → ${point.actual ?? point.y} subscribers`}
               </title>
             </circle>
           );
@@ -225,8 +235,26 @@ ${point.x} shares → ${point.y} subscribers`}
           textAnchor="middle"
           className="axis-label"
         >
-          Subscribers gained
+          {showResiduals ? 'Subscribers gained − fit' : 'Subscribers gained'}
         </text>
+        <AnomalyMarkers
+          flagged={flagged}
+          points={plotted}
+          position={(p) => [xScale(p.x), yScale(p.y)]}
+          bounds={{ left: margin.left, right: width - margin.right, top: margin.top, bottom: height - margin.bottom }}
+        />
+        <AlertHighlight
+          episodes={alerted}
+          points={plotted}
+          position={(p) => [xScale(p.x), yScale(p.y)]}
+          bounds={{ left: margin.left, right: width - margin.right, top: margin.top, bottom: height - margin.bottom }}
+        />
+        <GuestHighlight
+          highlight={highlight}
+          points={plotted}
+          position={(p) => [xScale(p.x), yScale(p.y)]}
+          bounds={{ left: margin.left, right: width - margin.right, top: margin.top, bottom: height - margin.bottom }}
+        />
         <rect
           ref={zoomRef}
           x={margin.left}
@@ -256,11 +284,19 @@ ${point.x} shares → ${point.y} subscribers`}
           </div>
           <div className="chart-tooltip-metric">
             <span>Subscribers</span>
-            <strong>{hoveredPoint.point.y.toLocaleString()}</strong>
+            <strong>{(hoveredPoint.point.actual ?? hoveredPoint.point.y).toLocaleString()}</strong>
           </div>
+          {showResiduals ? (
+            <div className="chart-tooltip-metric">
+              <span>Residual</span>
+              <strong>{formatResidual(hoveredPoint.point.y)}</strong>
+            </div>
+          ) : null}
+          <AnomalyReasons anomalies={flagged.get(hoveredPoint.point.episode)} />
         </div>
       ) : null}
       </div>
+      {correlation ? <CorrelationStats correlation={correlation} /> : null}
     </ChartCard>
   );
 };
@@ -0,0 +1,55 @@
+import { useEffect, useState } from 'react';
+import { SMOOTHING_METHODS, SMOOTHING_WINDOW_RANGE } from '../lib/analytics.js';
+
+const [MIN_WINDOW, MAX_WINDOW] = SMOOTHING_WINDOW_RANGE;
+
+// Chooses how the downloads and completion trend lines are smoothed.
+const SmoothingControl = ({ smoothing, onChange }) => {
+  const [windowDraft, setWindowDraft] = useState(String(smoothing.window));
+
+  useEffect(() => {
+    setWindowDraft(String(smoothing.window));
+  }, [smoothing.window]);
+
+  const handleWindowChange = (event) => {
+    const { value } = event.target;
+    setWindowDraft(value);
+    const size = Number(value);
+    if (Number.isInteger(size) && size >= MIN_WINDOW && size <= MAX_WINDOW) {
+      onChange({ ...smoothing, window: size });
+    }
+  };
+
+  return (
+    <div className="smoothing-control" role="group" aria-label="Trend smoothing">
+      <label>
+        Smoothing
+        <select
+          value={smoothing.method}
+          onChange={(event) => onChange({ ...smoothing, method: event.target.value })}
+        >
+          {SMOOTHING_METHODS.map((method) => (
+            <option key={method.key} value={method.key}>
+              {method.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Window
+        <input
+          type="number"
+          min={MIN_WINDOW}
+          max={MAX_WINDOW}
+          step="1"
+          value={windowDraft}
+          onChange={handleWindowChange}
+          onBlur={() => setWindowDraft(String(smoothing.window))}
+        />
+        episodes
+      </label>
+    </div>
+  );
+};
+
+export default SmoothingControl;
@@ -0,0 +1,115 @@
+import { DIFF_METRICS } from '../lib/snapshotDiff.js';
+import { SAMPLE_DATASET_ID } from '../hooks/usePodcastData.js';
+import { deltaClass, formatSignedNumber } from '../lib/format.js';
+
+const MAX_CHANGED_ROWS = 100;
+
+const EpisodeList = ({ label, rows }) =>
+  rows.length ? (
+    <div className="snapshot-episodes">
+      <h3>
+        {label} ({rows.length})
+      </h3>
+      <ul>
+        {rows.map((row) => (
+          <li key={row.episode}>
+            Ep {row.episode}: {row.title}
+          </li>
+        ))}
+      </ul>
+    </div>
+  ) : null;
+
+const SnapshotComparison = ({ source, datasets, baselineId, onBaselineChange, onClose, diff, loading, error }) => {
+  const baselineOptions = datasets.filter((entry) => entry.id !== source.id);
+
+  return (
+    <section className="snapshot-comparison chart-card" aria-labelledby="snapshot-comparison-title">
+      <div className="chart-card-header">
+        <h2 id="snapshot-comparison-title">Snapshot comparison</h2>
+        <button type="button" className="dataset-button dataset-button-subtle" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      <label className="snapshot-baseline">
+        Compare <strong>{source.name}</strong> against
+        <select value={baselineId} onChange={(event) => onBaselineChange(event.target.value)}>
+          {source.isSample ? null : <option value={SAMPLE_DATASET_ID}>Sample dataset</option>}
+          {baselineOptions.map((entry) => (
+            <option key={entry.id} value={entry.id}>
+              {entry.name} · {new Date(entry.importedAt).toLocaleString()}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {loading ? <p className="chart-description">Loading baseline…</p> : null}
+      {error ? (
+        <p className="dataset-error" role="alert">
+          Couldn’t load the baseline: {error.message}
+        </p>
+      ) : null}
+
+      {diff ? (
+        <>
+          <div className="snapshot-totals">
+            {DIFF_METRICS.map(({ key, label }) => (
+              <div key={key} className="snapshot-total">
+                <span>{label}</span>
+                <strong className={deltaClass(diff.totals[key].delta)}>
+                  {formatSignedNumber(diff.totals[key].delta)}
+                </strong>
+                <small>
+                  {diff.totals[key].before.toLocaleString()} → {diff.totals[key].after.toLocaleString()}
+                </small>
+              </div>
+            ))}
+          </div>
+          <p className="chart-description">
+            {diff.changed.length} changed, {diff.added.length} added, {diff.removed.length} removed,{' '}
+            {diff.unchangedCount} unchanged episodes.
+          </p>
+          {diff.changed.length ? (
+            <div className="snapshot-table-wrapper">
+              <table className="snapshot-table">
+                <thead>
+                  <tr>
+                    <th scope="col">Episode</th>
+                    {DIFF_METRICS.map(({ key, label }) => (
+                      <th key={key} scope="col">
+                        Δ {label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {diff.changed.slice(0, MAX_CHANGED_ROWS).map((row) => (
+                    <tr key={row.episode}>
+                      <th scope="row" title={row.title}>
+                        Ep {row.episode}
+                      </th>
+                      {DIFF_METRICS.map(({ key }) => (
+                        <td key={key} className={deltaClass(row.deltas[key])}>
+                          {formatSignedNumber(row.deltas[key])}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {diff.changed.length > MAX_CHANGED_ROWS ? (
+                <p className="validation-more">
+                  Showing the {MAX_CHANGED_ROWS} largest download changes of {diff.changed.length}.
+                </p>
+              ) : null}
+            </div>
+          ) : null}
+          <EpisodeList label="Added episodes" rows={diff.added} />
+          <EpisodeList label="Removed episodes" rows={diff.removed} />
+        </>
+      ) : null}
+    </section>
+  );
+};
+
+export default SnapshotComparison;
@@ -1,9 +1,17 @@
 import { useRef, useState } from 'react';
-import { scaleLinear } from 'd3-scale';
+import { scaleLinear, scaleTime } from 'd3-scale';
 import { extent, max } from 'd3-array';
 import { area, line, curveMonotoneX } from 'd3-shape';
 import ChartCard from './ChartCard.jsx';
+import GuestHighlight, { GuestHighlightLegendItem } from './GuestHighlight.jsx';
+import AlertHighlight, { AlertLegendItem } from './AlertHighlight.jsx';
+import AnomalyMarkers, { AnomalyReasons } from './AnomalyMarkers.jsx';
+import ForecastProjection, { ForecastLegendItem, ForecastTooltip } from './ForecastProjection.jsx';
+import GoalLines, { GoalLegendItem } from './GoalLines.jsx';
+import AxisToggle from './AxisToggle.jsx';
 import { useZoomPan } from '../hooks/useZoomPan.js';
+import { groupAnomalies } from '../lib/anomalies.js';
+import { formatPublishDate, useTimeAxis } from '../hooks/useTimeAxis.js';
 
 const chartDimensions = {
   width: 640,
@@ -11,40 +19,53 @@ const chartDimensions = {
   margin: { top: 24, right: 24, bottom: 42, left: 60 },
 };
 
-const SubscriberGrowthChart = ({ data, insight }) => {
+const SubscriberGrowthChart = ({ data, anomalies, forecast, goals = [], alerted, highlight, insights }) => {
   const { width, height, margin } = chartDimensions;
+  const flagged = groupAnomalies(anomalies, ['subscribersGained']);
   const [hoveredPoint, setHoveredPoint] = useState(null);
   const wrapperRef = useRef(null);
-  const baseXDomain = extent(data, (d) => d.episode);
+  const axis = useTimeAxis(data);
+  const { xValue, series } = axis;
+  const projection = forecast?.points ?? [];
+  const baseXDomain = extent([...data, ...projection], xValue);
 
   const { xDomain, zoomRef, resetZoom, xRange } = useZoomPan({
     width,
     height,
     margin,
     xDomain: baseXDomain,
+    xScaleType: axis.xScaleType,
     maxZoom: 12,
   });
 
-  const xScale = scaleLinear()
+  const xScale = (axis.isTime ? scaleTime() : scaleLinear())
     .domain(xDomain)
     .range(xRange ?? [margin.left, width - margin.right]);
 
   const yScale = scaleLinear()
-    .domain([0, max(data, (d) => d.cumulativeSubscribers) * 1.05])
+    .domain([
+      0,
+      max([
+        ...data.map((d) => d.cumulativeSubscribers),
+        ...projection.map((d) => d.upper),
+        ...goals.map((goal) => goal.target),
+      ]) * 1.05,
+    ])
     .range([height - margin.bottom, margin.top]);
 
   const areaPath = area()
-    .x((d) => xScale(d.episode))
+    .x((d) => xScale(xValue(d)))
     .y0(yScale(0))
     .y1((d) => yScale(d.cumulativeSubscribers))
     .curve(curveMonotoneX);
 
   const linePath = line()
-    .x((d) => xScale(d.episode))
+    .x((d) => xScale(xValue(d)))
     .y((d) => yScale(d.cumulativeSubscribers))
     .curve(curveMonotoneX);
 
   const xTicks = xScale.ticks(6);
+  const formatXTick = axis.tickFormat(xScale, 6);
   const yTicks = yScale.ticks(5);
 
   const projectPointToWrapper = (point) => {
@@ -58,8 +79,8 @@ const SubscriberGrowthChart = ({ data, insight }) => {
       return null;
     }
 
-    const svgX = xScale(point.episode);
-    const svgY = yScale(point.cumulativeSubscribers);
+    const svgX = xScale(xValue(point));
+    const svgY = yScale(point.step ? point.value : point.cumulativeSubscribers);
 
     const left = (svgX / width) * wrapperWidth;
     const top = (svgY / height) * wrapperHeight;
@@ -91,7 +112,7 @@ const SubscriberGrowthChart = ({ data, insight }) => {
     let closestDistance = Infinity;
     let closestPosition = null;
 
-    data.forEach((point) => {
+    [...data, ...projection].forEach((point) => {
       const projected = projectPointToWrapper(point);
       if (!projected) {
         return;
@@ -122,12 +143,22 @@ const SubscriberGrowthChart = ({ data, insight }) => {
     <ChartCard
       title="Subscriber Trajectory"
       description="Cumulative subscriber growth shows which seasons or campaigns produced inflection points and where momentum slowed."
-      insight={insight}
+      insights={insights}
+      controls={<AxisToggle mode={axis.mode} onChange={axis.setMode} hasDates={axis.hasDates} />}
       legend={
         <div className="legend">
           <span className="legend-item">
             <span className="legend-swatch" style={{ background: 'rgba(56, 189, 248, 0.3)' }} /> Total subscribers
           </span>
+          {forecast ? <ForecastLegendItem forecast={forecast} /> : null}
+          <GoalLegendItem goals={goals} />
+          {flagged.size ? (
+            <span className="legend-item">
+              <span className="legend-swatch legend-swatch-anomaly" /> Anomaly
+            </span>
+          ) : null}
+          <AlertLegendItem episodes={alerted} />
+          <GuestHighlightLegendItem highlight={highlight} />
         </div>
       }
     >
@@ -149,17 +180,27 @@ const SubscriberGrowthChart = ({ data, insight }) => {
             y2={yScale(tick)}
           />
         ))}
-        <path d={areaPath(data)} fill="url(#subsFill)" />
-        <path d={linePath(data)} className="line-secondary" />
+        <path d={areaPath(series)} fill="url(#subsFill)" />
+        <path d={linePath(series)} className="line-secondary" />
+        {projection.length ? (
+          <ForecastProjection
+            points={projection}
+            anchor={series[series.length - 1]}
+            anchorValue={series[series.length - 1].cumulativeSubscribers}
+            x={(d) => xScale(xValue(d))}
+            yScale={yScale}
+          />
+        ) : null}
+        <GoalLines goals={goals} yScale={yScale} left={margin.left} right={width - margin.right} />
         {xTicks.map((tick) => (
           <text
-            key={`x-${tick.toFixed(3)}`}
+            key={`x-${+tick}`}
             x={xScale(tick)}
             y={height - margin.bottom + 28}
             textAnchor="middle"
             className="axis-label"
           >
-            Ep {Math.round(tick)}
+            {formatXTick(tick)}
           </text>
         ))}
         <text
@@ -181,6 +222,24 @@ const SubscriberGrowthChart = ({ data, insight }) => {
             {Math.round(tick).toLocaleString()}
           </text>
         ))}
+        <AnomalyMarkers
+          flagged={flagged}
+          points={series}
+          position={(d) => [xScale(xValue(d)), yScale(d.cumulativeSubscribers)]}
+          bounds={{ left: margin.left, right: width - margin.right, top: margin.top, bottom: height - margin.bottom }}
+        />
+        <AlertHighlight
+          episodes={alerted}
+          points={series}
+          position={(d) => [xScale(xValue(d)), yScale(d.cumulativeSubscribers)]}
+          bounds={{ left: margin.left, right: width - margin.right, top: margin.top, bottom: height - margin.bottom }}
+        />
+        <GuestHighlight
+          highlight={highlight}
+          points={series}
+          position={(d) => [xScale(xValue(d)), yScale(d.cumulativeSubscribers)]}
+          bounds={{ left: margin.left, right: width - margin.right, top: margin.top, bottom: height - margin.bottom }}
+        />
         <rect
           ref={zoomRef}
           x={margin.left}
@@ -203,15 +262,25 @@ const SubscriberGrowthChart = ({ data, insight }) => {
           role="status"
           style={{ left: `${hoveredPoint.position.left}px`, top: `${hoveredPoint.position.top}px` }}
         >
-          <div className="chart-tooltip-heading">Episode {hoveredPoint.point.episode}</div>
-          <div className="chart-tooltip-metric">
-            <span>Total subs</span>
-            <strong>{hoveredPoint.point.cumulativeSubscribers.toLocaleString()}</strong>
-          </div>
-          <div className="chart-tooltip-metric">
-            <span>Gained</span>
-            <strong>{hoveredPoint.point.subscribersGained.toLocaleString()}</strong>
-          </div>
+          {hoveredPoint.point.step ? (
+            <ForecastTooltip point={hoveredPoint.point} label="Total subs" />
+          ) : (
+            <>
+              <div className="chart-tooltip-heading">
+                Episode {hoveredPoint.point.episode}
+                {hoveredPoint.point.publishDate ? ` · ${formatPublishDate(hoveredPoint.point.publishDate)}` : null}
+              </div>
+              <div className="chart-tooltip-metric">
+                <span>Total subs</span>
+                <strong>{hoveredPoint.point.cumulativeSubscribers.toLocaleString()}</strong>
+              </div>
+              <div className="chart-tooltip-metric">
+                <span>Gained</span>
+                <strong>{hoveredPoint.point.subscribersGained.toLocaleString()}</strong>
+              </div>
+              <AnomalyReasons anomalies={flagged.get(hoveredPoint.point.episode)} />
+            </>
+          )}
         </div>
       ) : null}
       </div>
@@ -0,0 +1,189 @@
+import { useState } from 'react';
+import { isValidTopicRules } from '../lib/topics.js';
+import { deltaClass, formatSignedNumber } from '../lib/format.js';
+
+const METRICS = [
+  {
+    key: 'downloads',
+    label: 'Avg downloads',
+    format: (value) => Math.round(value).toLocaleString(),
+    delta: (value, catalog) => (catalog === 0 ? null : ((value - catalog) / catalog) * 100),
+    suffix: '%',
+  },
+  {
+    key: 'completionRate',
+    label: 'Avg completion',
+    format: (value) => `${(value * 100).toFixed(1)}%`,
+    delta: (value, catalog) => (value - catalog) * 100,
+    suffix: ' pts',
+  },
+  {
+    key: 'conversion',
+    label: 'Subs per 1k downloads',
+    format: (value) => value.toFixed(1),
+    delta: (value, catalog) => (catalog === 0 ? null : ((value - catalog) / catalog) * 100),
+    suffix: '%',
+  },
+];
+
+const sortValue = (topic, key) => (key === 'count' ? topic.count : (topic.metrics?.[key] ?? -Infinity));
+
+const RuleForm = ({ rules, onChange }) => {
+  const [name, setName] = useState('');
+  const [keywords, setKeywords] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const rule = {
+      name: name.trim(),
+      keywords: keywords
+        .split(',')
+        .map((keyword) => keyword.trim())
+        .filter(Boolean),
+    };
+    const next = [...rules.filter((existing) => existing.name !== rule.name), rule];
+    if (!isValidTopicRules(next)) {
+      setError('Give the topic a name and at least one keyword that isn’t a common word.');
+      return;
+    }
+    onChange(next);
+    setName('');
+    setKeywords('');
+    setError(null);
+  };
+
+  return (
+    <form className="topic-rule-form" onSubmit={handleSubmit}>
+      <label>
+        Topic
+        <input type="text" value={name} onChange={(event) => setName(event.target.value)} placeholder="Security" />
+      </label>
+      <label>
+        Keywords
+        <input
+          type="text"
+          value={keywords}
+          onChange={(event) => setKeywords(event.target.value)}
+          placeholder="cybersecurity, phishing, breach"
+        />
+      </label>
+      <button type="submit" className="dataset-button">
+        Add topic
+      </button>
+      {error ? (
+        <p className="dataset-error" role="alert">
+          {error}
+        </p>
+      ) : null}
+    </form>
+  );
+};
+
+// Topic performance against the catalog average. `rules` are the custom topic rules
+// ([] for automatic topics); `onRulesChange` saves a new list.
+const TopicPerformance = ({ topics, rules, onRulesChange }) => {
+  const [sort, setSort] = useState({ key: 'count', direction: -1 });
+  const sorted = [...topics.topics].sort(
+    (a, b) => (sortValue(a, sort.key) - sortValue(b, sort.key)) * sort.direction,
+  );
+
+  const toggleSort = (key) => {
+    setSort((prev) => ({ key, direction: prev.key === key ? -prev.direction : -1 }));
+  };
+
+  const sortHeader = (key, label) => (
+    <th
+      key={key}
+      scope="col"
+      aria-sort={sort.key === key ? (sort.direction === 1 ? 'ascending' : 'descending') : undefined}
+    >
+      <button type="button" onClick={() => toggleSort(key)}>
+        {label}
+        {sort.key === key ? (sort.direction === 1 ? ' ▲' : ' ▼') : null}
+      </button>
+    </th>
+  );
+
+  return (
+    <section className="topic-performance chart-card" aria-labelledby="topic-performance-title">
+      <h2 id="topic-performance-title">Topics</h2>
+      <p className="chart-description">
+        {topics.source === 'custom'
+          ? 'Episodes are tagged by your topic keywords, matched in titles and descriptions.'
+          : 'Topics are the distinctive terms shared by several episode titles and descriptions (TF-IDF).'}{' '}
+        An episode counts toward a topic when the term is in its title or mentioned twice in its description.
+        Differences are against the catalog average. {topics.untagged} episode{topics.untagged === 1 ? '' : 's'}{' '}
+        match no topic.
+      </p>
+      {sorted.length ? (
+        <div className="topic-table-wrapper">
+          <table className="topic-table">
+            <thead>
+              <tr>
+                <th scope="col">Topic</th>
+                {sortHeader('count', 'Episodes')}
+                {METRICS.map((metric) => sortHeader(metric.key, metric.label))}
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map((topic) => (
+                <tr key={topic.name}>
+                  <th scope="row" title={`Keywords: ${topic.keywords.join(', ')}`}>
+                    {topic.name}
+                  </th>
+                  <td>{topic.count}</td>
+                  {METRICS.map((metric) => {
+                    if (!topic.metrics) {
+                      return <td key={metric.key}>—</td>;
+                    }
+                    const delta = metric.delta(topic.metrics[metric.key], topics.catalog[metric.key]);
+                    return (
+                      <td key={metric.key}>
+                        {metric.format(topic.metrics[metric.key])}
+                        {delta === null ? null : (
+                          <small className={`topic-delta ${deltaClass(delta)}`}>
+                            {formatSignedNumber(delta, 0)}
+                            {metric.suffix}
+                          </small>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="chart-description">No terms are shared by enough episodes to form a topic.</p>
+      )}
+      <details className="topic-rules">
+        <summary>Custom topics</summary>
+        <p className="chart-description">
+          Define your own topics by keyword; plurals and other word endings match too. While any custom topics exist
+          they replace the automatic ones.
+        </p>
+        {rules.length ? (
+          <ul className="topic-rule-list">
+            {rules.map((rule) => (
+              <li key={rule.name}>
+                <strong>{rule.name}</strong>: {rule.keywords.join(', ')}
+                <button
+                  type="button"
+                  className="dataset-button dataset-button-subtle"
+                  onClick={() => onRulesChange(rules.filter((existing) => existing.name !== rule.name))}
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : null}
+        <RuleForm rules={rules} onChange={onRulesChange} />
+      </details>
+    </section>
+  );
+};
+
+export default TopicPerformance;
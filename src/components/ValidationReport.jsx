@@ -0,0 +1,56 @@
+const MAX_VISIBLE_ISSUES = 200;
+
+const ValidationReport = ({ issues, title, defaultOpen = false }) => {
+  if (!issues?.length) {
+    return null;
+  }
+
+  const rejectedLines = new Set(issues.filter((issue) => issue.severity === 'rejected').map((issue) => issue.line));
+  const coercedCount = issues.filter((issue) => issue.severity === 'coerced').length;
+  const visible = issues.slice(0, MAX_VISIBLE_ISSUES);
+
+  const parts = [];
+  if (rejectedLines.size) {
+    parts.push(`${rejectedLines.size} ${rejectedLines.size === 1 ? 'row' : 'rows'} rejected`);
+  }
+  if (coercedCount) {
+    parts.push(`${coercedCount} ${coercedCount === 1 ? 'value' : 'values'} coerced`);
+  }
+
+  return (
+    <details className="validation-report" open={defaultOpen}>
+      <summary>
+        {title ?? 'Data quality report'}: {parts.join(', ')}
+      </summary>
+      <table className="validation-table">
+        <thead>
+          <tr>
+            <th scope="col">Line</th>
+            <th scope="col">Column</th>
+            <th scope="col">Result</th>
+            <th scope="col">Reason</th>
+          </tr>
+        </thead>
+        <tbody>
+          {visible.map((issue, idx) => (
+            <tr key={`${issue.line}-${issue.column}-${idx}`}>
+              <td>{issue.line}</td>
+              <td>
+                <code>{issue.column}</code>
+              </td>
+              <td>
+                <span className={`validation-badge validation-${issue.severity}`}>{issue.severity}</span>
+              </td>
+              <td>{issue.reason}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {issues.length > visible.length ? (
+        <p className="validation-more">…and {issues.length - visible.length} more.</p>
+      ) : null}
+    </details>
+  );
+};
+
+export default ValidationReport;
@@ -0,0 +1,58 @@
+import { useCallback, useRef, useState } from 'react';
+
+const hasFiles = (event) => Array.from(event.dataTransfer?.types ?? []).includes('Files');
+
+export const useFileDrop = (onFile) => {
+  const [isDragging, setIsDragging] = useState(false);
+  // dragenter/dragleave fire for every child element, so track nesting depth
+  // instead of toggling on each event.
+  const depthRef = useRef(0);
+
+  const onDragEnter = useCallback((event) => {
+    if (!hasFiles(event)) {
+      return;
+    }
+    event.preventDefault();
+    depthRef.current += 1;
+    setIsDragging(true);
+  }, []);
+
+  const onDragOver = useCallback((event) => {
+    if (!hasFiles(event)) {
+      return;
+    }
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  }, []);
+
+  const onDragLeave = useCallback((event) => {
+    if (!hasFiles(event)) {
+      return;
+    }
+    depthRef.current = Math.max(0, depthRef.current - 1);
+    if (depthRef.current === 0) {
+      setIsDragging(false);
+    }
+  }, []);
+
+  const onDrop = useCallback(
+    (event) => {
+      if (!hasFiles(event)) {
+        return;
+      }
+      event.preventDefault();
+      depthRef.current = 0;
+      setIsDragging(false);
+      const [file] = event.dataTransfer.files;
+      if (file) {
+        onFile(file);
+      }
+    },
+    [onFile],
+  );
+
+  return {
+    isDragging,
+    dropHandlers: { onDragEnter, onDragOver, onDragLeave, onDrop },
+  };
+};
@@ -0,0 +1,34 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const PRESETS_STORAGE_KEY = 'podcast-dashboard-mapping-presets';
+
+const readPresets = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+export const useMappingPresets = () => {
+  const [presets, setPresets] = useState(readPresets);
+
+  useEffect(() => {
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+  }, [presets]);
+
+  // Saving under an existing name replaces that preset.
+  const savePreset = useCallback((name, mapping, durationFormat) => {
+    setPresets((prev) => [
+      ...prev.filter((preset) => preset.name !== name),
+      { name, mapping, durationFormat },
+    ]);
+  }, []);
+
+  const deletePreset = useCallback((name) => {
+    setPresets((prev) => prev.filter((preset) => preset.name !== name));
+  }, []);
+
+  return { presets, savePreset, deletePreset };
+};
@@ -1,175 +1,536 @@
-import { useEffect, useMemo, useState } from 'react';
-import { csv } from 'd3-fetch';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { text } from 'd3-fetch';
+import { csvParse } from 'd3-dsv';
+import { FEED_FIELDS, withDerivedFields } from '../lib/parseEpisodes.js';
+import { episodesToCsv } from '../lib/exportEpisodes.js';
+import {
+  DEFAULT_COMPARISON,
+  DEFAULT_SMOOTHING,
+  SMOOTHING_METHODS,
+  SMOOTHING_WINDOW_RANGE,
+  analyzeEpisodes,
+  isValidComparison,
+} from '../lib/analytics.js';
+import { DEFAULT_FORECAST_HORIZON, FORECAST_HORIZONS } from '../lib/forecast.js';
+import { DEFAULT_TOPIC_RULES, isValidTopicRules } from '../lib/topics.js';
+import { DEFAULT_GOALS, isValidGoals } from '../lib/goals.js';
+import { DEFAULT_ALERT_RULES, isValidAlertRules } from '../lib/alerts.js';
+import { DEFAULT_DURATION_EDGES, isValidDurationEdges } from '../lib/durationBuckets.js';
+import { analyzeInWorker, reanalyzeInWorker } from '../lib/analysisClient.js';
+import { hasCanonicalHeaders, readHeaders } from '../lib/columnMapping.js';
+import { looksLikeFeed, parseRssFeed } from '../lib/rssFeed.js';
+import { deleteDataset, listDatasets, loadDataset, saveDataset, updateDataset } from '../lib/datasetStore.js';
 
 const DATA_URL = '/podcast-metrics.csv';
+const SAMPLE_SOURCE = { name: 'podcast-metrics.csv', isSample: true };
+const ACTIVE_DATASET_KEY = 'podcast-dashboard-active-dataset';
+const SMOOTHING_STORAGE_KEY = 'podcast-dashboard-smoothing';
+const COMPARISON_STORAGE_KEY = 'podcast-dashboard-comparison';
+const FORECAST_STORAGE_KEY = 'podcast-dashboard-forecast-horizon';
+const TOPIC_RULES_STORAGE_KEY = 'podcast-dashboard-topic-rules';
+const GOALS_STORAGE_KEY = 'podcast-dashboard-goals';
+const ALERT_RULES_STORAGE_KEY = 'podcast-dashboard-alert-rules';
+const DURATION_EDGES_STORAGE_KEY = 'podcast-dashboard-duration-edges';
 
-const parseRow = (row) => {
-  const [hours, minutes, seconds] = row.duration.split(':').map(Number);
-  const durationMinutes = hours * 60 + minutes + seconds / 60;
-  const downloads = Number(row.downloads);
-  const completionNumbers = Number(row.completion_numbers);
-  const newListeners = Number(row.new_listeners);
-  const returningListeners = Number(row.returning_listeners);
-  const listenersTotal = newListeners + returningListeners;
+const isValidHorizon = (horizon) => FORECAST_HORIZONS.includes(horizon);
 
-  return {
-    episode: Number(row.episode),
-    title: row.title,
-    description: row.description,
-    guest: row.guest,
-    durationMinutes,
-    downloads,
-    completionNumbers,
-    completionRate: downloads === 0 ? 0 : completionNumbers / downloads,
-    newListeners,
-    returningListeners,
-    listenersTotal,
-    subscribersGained: Number(row.subscribers_gained),
-    socialMediaShares: Number(row.social_media_shares),
-  };
-};
+const isValidSmoothing = (smoothing) =>
+  SMOOTHING_METHODS.some((method) => method.key === smoothing?.method) &&
+  Number.isInteger(smoothing.window) &&
+  smoothing.window >= SMOOTHING_WINDOW_RANGE[0] &&
+  smoothing.window <= SMOOTHING_WINDOW_RANGE[1];
 
-const averageInWindow = (series, index, accessor, window = 7) => {
-  const start = Math.max(0, index - (window - 1));
-  const slice = series.slice(start, index + 1);
-  const total = slice.reduce((sum, item) => sum + accessor(item), 0);
-  return total / slice.length;
+const readSetting = (key, isValid, fallback) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return isValid(stored) ? stored : fallback;
+  } catch {
+    return fallback;
+  }
 };
 
-const correlation = (series, xAccessor, yAccessor) => {
-  const xs = series.map(xAccessor);
-  const ys = series.map(yAccessor);
-  const n = xs.length;
-  if (!n) return 0;
-  const meanX = xs.reduce((sum, v) => sum + v, 0) / n;
-  const meanY = ys.reduce((sum, v) => sum + v, 0) / n;
-  const numerator = xs.reduce((sum, x, idx) => sum + (x - meanX) * (ys[idx] - meanY), 0);
-  const variance = (values, mean) => values.reduce((sum, v) => sum + (v - mean) ** 2, 0);
-  const denominator = Math.sqrt(variance(xs, meanX) * variance(ys, meanY));
-  return denominator === 0 ? 0 : numerator / denominator;
+// Analysis settings are remembered across sessions; each has its own storage key.
+const readSettings = () => ({
+  smoothing: readSetting(SMOOTHING_STORAGE_KEY, isValidSmoothing, DEFAULT_SMOOTHING),
+  comparison: readSetting(COMPARISON_STORAGE_KEY, isValidComparison, DEFAULT_COMPARISON),
+  forecastHorizon: readSetting(FORECAST_STORAGE_KEY, isValidHorizon, DEFAULT_FORECAST_HORIZON),
+  topicRules: readSetting(TOPIC_RULES_STORAGE_KEY, isValidTopicRules, DEFAULT_TOPIC_RULES),
+  goals: readSetting(GOALS_STORAGE_KEY, isValidGoals, DEFAULT_GOALS),
+  alertRules: readSetting(ALERT_RULES_STORAGE_KEY, isValidAlertRules, DEFAULT_ALERT_RULES),
+  durationEdges: readSetting(DURATION_EDGES_STORAGE_KEY, isValidDurationEdges, DEFAULT_DURATION_EDGES),
+});
+
+const feedFromText = (name, contents) => ({ name, text: contents, ...parseRssFeed(contents) });
+
+// The mapping wizard only previews the first rows, so avoid parsing the whole file for it.
+const previewText = (contents) => contents.split(/\r?\n/, 6).join('\n');
+
+const storedFeed = (feed) => (feed ? { name: feed.name, text: feed.text } : null);
+
+export const SAMPLE_DATASET_ID = 'sample';
+
+// Parses a saved dataset (or the bundled sample) without making it the active one.
+export const readDatasetRows = (id) => {
+  if (id === SAMPLE_DATASET_ID) {
+    return text(DATA_URL).then((contents) => analyzeInWorker(contents).then((parsed) => parsed.rows));
+  }
+  return loadDataset(id)
+    .then((stored) =>
+      analyzeInWorker(stored.text, {
+        ...stored.options,
+        metadata: stored.feed ? parseRssFeed(stored.feed.text).episodes : undefined,
+      }),
+    )
+    .then((parsed) => parsed.rows);
 };
 
 export const usePodcastData = () => {
   const [raw, setRaw] = useState([]);
+  const [parsedRows, setParsedRows] = useState([]);
+  const [editHistory, setEditHistory] = useState([]);
+  const [analysis, setAnalysis] = useState(() => analyzeEpisodes([]));
+  const [issues, setIssues] = useState([]);
+  const [dataset, setDataset] = useState(null);
+  const [feed, setFeed] = useState(null);
+  const [datasets, setDatasets] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [storageError, setStorageError] = useState(null);
+  const [analysisError, setAnalysisError] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [settings, setSettings] = useState(readSettings);
+  const loadRequest = useRef(0);
+  const reanalysis = useRef(null);
+  // Read when a worker result arrives, so a settings change made mid-load still applies.
+  const settingsRef = useRef(settings);
 
-  useEffect(() => {
-    csv(DATA_URL, parseRow)
-      .then((rows) => {
-        const sorted = rows.sort((a, b) => a.episode - b.episode);
-        setRaw(sorted);
-        setLoading(false);
+  // Re-analyzes `rows` with the current settings in a worker. A newer call stops the
+  // one in flight, so only the latest rows and settings are ever shown. Its progress
+  // is cleared when it settles unless a load has replaced it meanwhile. A failure
+  // keeps the previous analysis on screen and is reported in `analysisError`.
+  const reanalyze = useCallback((rows) => {
+    reanalysis.current?.abort();
+    const controller = new AbortController();
+    reanalysis.current = controller;
+    let shown = null;
+    const show = (next) => {
+      shown = next;
+      setProgress(next);
+    };
+    const settle = () => setProgress((current) => (current === shown ? null : current));
+    show({ phase: 'analyze', fraction: 0 });
+    reanalyzeInWorker(rows, { settings: settingsRef.current, onProgress: show, signal: controller.signal }).then(
+      (next) => {
+        settle();
+        setAnalysis(next);
+        setAnalysisError(null);
+      },
+      (err) => {
+        settle();
+        if (err.name !== 'AbortError') {
+          setAnalysisError(err);
+        }
+      },
+    );
+  }, []);
+
+  // `dataset` keeps the CSV text and its parse options so the rows can be rebuilt
+  // when an RSS feed is added or removed. Parsing and analysis run in a worker while
+  // `progress` reports how far along it is; the promise rejects if the combination
+  // doesn't parse. A result that arrives after a newer load started is not shown.
+  const applyDataset = useCallback((nextDataset, nextFeed) => {
+    const request = ++loadRequest.current;
+    const isCurrent = () => request === loadRequest.current;
+    const requestedSettings = settingsRef.current;
+    setProgress({ phase: 'parse', fraction: 0 });
+    return analyzeInWorker(
+      nextDataset.text,
+      { ...nextDataset.options, metadata: nextFeed?.episodes },
+      { settings: requestedSettings, onProgress: (next) => isCurrent() && setProgress(next) },
+    ).then(
+      (parsed) => {
+        if (isCurrent()) {
+          setRaw(parsed.rows);
+          setParsedRows(parsed.rows);
+          setAnalysis(parsed.analysis);
+          setEditHistory([]);
+          setIssues(parsed.issues);
+          setDataset(nextDataset);
+          setFeed(nextFeed);
+          setError(null);
+          setAnalysisError(null);
+          setProgress(null);
+          reanalysis.current?.abort();
+          if (settingsRef.current !== requestedSettings) {
+            reanalyze(parsed.rows);
+          }
+          if (nextDataset.id) {
+            localStorage.setItem(ACTIVE_DATASET_KEY, nextDataset.id);
+          } else {
+            localStorage.removeItem(ACTIVE_DATASET_KEY);
+          }
+        }
+        return parsed;
+      },
+      (err) => {
+        if (isCurrent()) {
+          setProgress(null);
+        }
+        throw err;
+      },
+    );
+  }, [reanalyze]);
+
+  const refreshLibrary = useCallback(
+    () =>
+      listDatasets()
+        .then(setDatasets)
+        .catch((err) => setStorageError(err)),
+    [],
+  );
+
+  // New imports are saved to IndexedDB so they survive a reload. Storage failures
+  // (private browsing, quota) are reported but never block the import itself.
+  const storeDataset = useCallback(
+    (nextDataset, nextFeed, rowCount) => {
+      saveDataset({
+        name: nextDataset.name,
+        fileName: nextDataset.fileName,
+        rowCount,
+        text: nextDataset.text,
+        options: nextDataset.options,
+        feed: storedFeed(nextFeed),
       })
+        .then((record) => {
+          setDataset((current) =>
+            current === nextDataset ? { ...current, id: record.id, importedAt: record.importedAt } : current,
+          );
+          localStorage.setItem(ACTIVE_DATASET_KEY, record.id);
+          setStorageError(null);
+          return refreshLibrary();
+        })
+        .catch((err) => setStorageError(err));
+    },
+    [refreshLibrary],
+  );
+
+  const loadSample = useCallback(() => {
+    setLoading(true);
+    setImportError(null);
+    return text(DATA_URL)
+      .then((contents) => applyDataset({ ...SAMPLE_SOURCE, text: contents, options: {} }, null))
+      .then(() => setLoading(false))
       .catch((err) => {
         setError(err);
         setLoading(false);
       });
-  }, []);
+  }, [applyDataset]);
 
-  const memoized = useMemo(() => {
-    if (!raw.length) {
-      return {
-        episodes: [],
-        summary: null,
-        insights: {},
-      };
+  const openStoredDataset = useCallback(
+    (id) =>
+      loadDataset(id).then((stored) =>
+        applyDataset(
+          {
+            id: stored.id,
+            name: stored.name,
+            fileName: stored.fileName,
+            importedAt: stored.importedAt,
+            isSample: false,
+            text: stored.text,
+            options: stored.options,
+          },
+          stored.feed ? feedFromText(stored.feed.name, stored.feed.text) : null,
+        ),
+      ),
+    [applyDataset],
+  );
+
+  useEffect(() => {
+    // Reopen whichever dataset was active last session, falling back to the sample.
+    // Only this initial load happens automatically; later reloads come from the UI.
+    refreshLibrary();
+    const activeId = localStorage.getItem(ACTIVE_DATASET_KEY);
+    if (!activeId) {
+      loadSample();
+      return;
     }
+    openStoredDataset(activeId)
+      .then(() => setLoading(false))
+      .catch(() => loadSample());
+  }, []);
 
-    let cumulativeSubscribers = 0;
-    let cumulativeDownloads = 0;
-    const episodes = raw.map((item, idx) => {
-      cumulativeSubscribers += item.subscribersGained;
-      cumulativeDownloads += item.downloads;
-      const downloadsRolling = averageInWindow(raw, idx, (d) => d.downloads, 7);
-      const completionRolling = averageInWindow(raw, idx, (d) => d.completionRate, 7);
-      const newListenerRatio = item.listenersTotal === 0 ? 0 : item.newListeners / item.listenersTotal;
-
-      return {
-        ...item,
-        cumulativeSubscribers,
-        cumulativeDownloads,
-        downloadsRolling,
-        completionRolling,
-        newListenerRatio,
-        subscribersPerThousandDownloads:
-          item.downloads === 0 ? 0 : (item.subscribersGained / item.downloads) * 1000,
-        sharesPerThousandDownloads:
-          item.downloads === 0 ? 0 : (item.socialMediaShares / item.downloads) * 1000,
-      };
-    });
-
-    const halfwayIndex = Math.floor(episodes.length / 2);
-    const earlySlice = episodes.slice(0, halfwayIndex);
-    const lateSlice = episodes.slice(halfwayIndex);
-    const arrAverage = (arr, accessor) => arr.reduce((sum, item) => sum + accessor(item), 0) / arr.length;
-
-    const averageDownloadsEarly = arrAverage(earlySlice, (d) => d.downloads);
-    const averageDownloadsLate = arrAverage(lateSlice, (d) => d.downloads);
-    const avgCompletionEarly = arrAverage(earlySlice, (d) => d.completionRate);
-    const avgCompletionLate = arrAverage(lateSlice, (d) => d.completionRate);
-    const avgNewListenerRatioEarly = arrAverage(earlySlice, (d) => d.newListenerRatio);
-    const avgNewListenerRatioLate = arrAverage(lateSlice, (d) => d.newListenerRatio);
-
-    const sharesSubscribersCorrelation = correlation(
-      episodes,
-      (d) => d.socialMediaShares,
-      (d) => d.subscribersGained
-    );
+  const selectDataset = useCallback(
+    (id) => {
+      setImportError(null);
+      if (!id) {
+        loadSample();
+        return;
+      }
+      openStoredDataset(id).catch((err) => setImportError(err));
+    },
+    [loadSample, openStoredDataset],
+  );
 
-    const durationCompletionCorrelation = correlation(
-      episodes,
-      (d) => d.durationMinutes,
-      (d) => d.completionRate
-    );
+  const renameDataset = useCallback(
+    (id, name) => {
+      setDataset((current) => (current?.id === id ? { ...current, name } : current));
+      updateDataset(id, { name })
+        .then(refreshLibrary)
+        .catch((err) => setStorageError(err));
+    },
+    [refreshLibrary],
+  );
 
-    const summary = {
-      totalEpisodes: episodes.length,
-      averageDownloads: arrAverage(episodes, (d) => d.downloads),
-      averageCompletionRate: arrAverage(episodes, (d) => d.completionRate),
-      averageDuration: arrAverage(episodes, (d) => d.durationMinutes),
-      totalSubscribers: cumulativeSubscribers,
-      downloadsGrowthPercent:
-        averageDownloadsEarly === 0
-          ? 0
-          : ((averageDownloadsLate - averageDownloadsEarly) / averageDownloadsEarly) * 100,
-      completionRateChange:
-        (avgCompletionLate - avgCompletionEarly) * 100, // percentage points
-      newListenerShareChange:
-        (avgNewListenerRatioLate - avgNewListenerRatioEarly) * 100,
-      sharesSubscribersCorrelation,
-      durationCompletionCorrelation,
-      latestEpisode: episodes[episodes.length - 1],
-    };
+  const removeDataset = useCallback(
+    (id) => {
+      if (dataset?.id === id) {
+        loadSample();
+      }
+      deleteDataset(id)
+        .then(refreshLibrary)
+        .catch((err) => setStorageError(err));
+    },
+    [dataset, loadSample, refreshLibrary],
+  );
 
-    const formatPercent = (value, digits = 1) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}%`;
-
-    const insights = {
-      downloads: `Recent episodes are averaging ${formatPercent(
-        summary.downloadsGrowthPercent,
-        1
-      )} downloads versus the earliest half of the catalog.`,
-      completion: `Completion rate moved ${formatPercent(summary.completionRateChange, 1)} from early episodes to the latest half.`,
-      listenerMix: `New listeners make up ${formatPercent(summary.newListenerShareChange, 1)} more of the audience in newer episodes.`,
-      subscriberGrowth: `Total subscribers climbed to ${summary.totalSubscribers.toLocaleString()} with the latest release.`,
-      sharesToSubs:
-        sharesSubscribersCorrelation >= 0
-          ? `Social sharing strongly correlates with subscriber gains (r = ${sharesSubscribersCorrelation.toFixed(2)}).`
-          : `Higher social sharing currently coincides with fewer subscribers (r = ${sharesSubscribersCorrelation.toFixed(2)}).`,
-      duration:
-        durationCompletionCorrelation >= 0
-          ? `Longer episodes trend toward stronger completion rates (r = ${durationCompletionCorrelation.toFixed(2)}).`
-          : `Longer episodes trend toward lower completion (r = ${durationCompletionCorrelation.toFixed(2)}); consider testing shorter cuts.`,
-    };
+  // Adding or removing a feed rebuilds the rows; a stored dataset remembers its feed.
+  const replaceFeed = useCallback(
+    (nextFeed) => {
+      if (!dataset) {
+        setFeed(nextFeed);
+        return Promise.resolve();
+      }
+      return applyDataset(dataset, nextFeed).then((parsed) => {
+        if (dataset.id) {
+          updateDataset(dataset.id, { feed: storedFeed(nextFeed), rowCount: parsed.rows.length })
+            .then(refreshLibrary)
+            .catch((err) => setStorageError(err));
+        }
+      });
+    },
+    [applyDataset, dataset, refreshLibrary],
+  );
+
+  const importCsv = useCallback(
+    (nextDataset) =>
+      applyDataset(nextDataset, feed).then((parsed) => storeDataset(nextDataset, feed, parsed.rows.length)),
+    [applyDataset, feed, storeDataset],
+  );
+
+  // Imported files run through the same parseEpisodes validation as the bundled sample.
+  // RSS feeds are merged into the current CSV by episode number. CSVs whose headers
+  // don't match the bundled schema wait in `pendingImport` until the column mapping
+  // is confirmed. A failed import keeps the current dataset on screen and reports
+  // the problem separately.
+  const importFile = useCallback(
+    (file) => {
+      setImportError(null);
+      return file
+        .text()
+        .then((contents) => {
+          if (looksLikeFeed(file.name, contents)) {
+            return replaceFeed(feedFromText(file.name, contents));
+          }
+
+          const headers = readHeaders(contents);
+          const coveredFields = feed ? FEED_FIELDS : [];
+          if (!hasCanonicalHeaders(headers, coveredFields)) {
+            setPendingImport({
+              name: file.name,
+              text: contents,
+              headers,
+              coveredFields,
+              preview: csvParse(previewText(contents)).slice(0, 3),
+            });
+            return undefined;
+          }
+          return importCsv({ name: file.name, fileName: file.name, isSample: false, text: contents, options: {} });
+        })
+        .catch((err) => {
+          setImportError(err);
+        });
+    },
+    [feed, importCsv, replaceFeed],
+  );
+
+  const confirmImport = useCallback(
+    (options) => {
+      if (!pendingImport) {
+        return;
+      }
+      setImportError(null);
+      importCsv({
+        name: pendingImport.name,
+        fileName: pendingImport.name,
+        isSample: false,
+        text: pendingImport.text,
+        options,
+      })
+        .then(() => setPendingImport(null))
+        .catch((err) => setImportError(err));
+    },
+    [importCsv, pendingImport],
+  );
+
+  const cancelImport = useCallback(() => {
+    setPendingImport(null);
+    setImportError(null);
+  }, []);
+
+  const removeFeed = useCallback(() => {
+    setImportError(null);
+    replaceFeed(null).catch((err) => setImportError(err));
+  }, [replaceFeed]);
+
+  // Table edits replace rows in `raw`, so every derived metric and chart picks them up.
+  // Each edit pushes the previous rows onto a history stack for undo.
+  const showRows = useCallback(
+    (rows) => {
+      setRaw(rows);
+      reanalyze(rows);
+    },
+    [reanalyze],
+  );
+
+  // Smoothing changes the rolling trend lines; the comparison picks the two periods
+  // behind the growth figures and their insight sentences; the horizon sets how many
+  // episodes to forecast; topic rules replace the automatic topics; goals are checked
+  // against the data and its forecast; alert rules are checked against the data;
+  // duration edges set the runtime buckets. Each re-runs the analysis (as does every
+  // load and edit, so alerts are always current).
+  const updateSettings = useCallback(
+    (key, value, storageKey) => {
+      const next = { ...settingsRef.current, [key]: value };
+      settingsRef.current = next;
+      setSettings(next);
+      reanalyze(raw);
+      localStorage.setItem(storageKey, JSON.stringify(value));
+    },
+    [raw, reanalyze],
+  );
 
-    return { episodes, summary, insights };
-  }, [raw]);
+  const setSmoothing = useCallback(
+    (next) => isValidSmoothing(next) && updateSettings('smoothing', next, SMOOTHING_STORAGE_KEY),
+    [updateSettings],
+  );
+
+  const setComparison = useCallback(
+    (next) => isValidComparison(next) && updateSettings('comparison', next, COMPARISON_STORAGE_KEY),
+    [updateSettings],
+  );
+
+  const setForecastHorizon = useCallback(
+    (next) => isValidHorizon(next) && updateSettings('forecastHorizon', next, FORECAST_STORAGE_KEY),
+    [updateSettings],
+  );
+
+  const setTopicRules = useCallback(
+    (next) => isValidTopicRules(next) && updateSettings('topicRules', next, TOPIC_RULES_STORAGE_KEY),
+    [updateSettings],
+  );
+
+  const setGoals = useCallback(
+    (next) => isValidGoals(next) && updateSettings('goals', next, GOALS_STORAGE_KEY),
+    [updateSettings],
+  );
+
+  const setAlertRules = useCallback(
+    (next) => isValidAlertRules(next) && updateSettings('alertRules', next, ALERT_RULES_STORAGE_KEY),
+    [updateSettings],
+  );
+
+  const setDurationEdges = useCallback(
+    (next) => isValidDurationEdges(next) && updateSettings('durationEdges', next, DURATION_EDGES_STORAGE_KEY),
+    [updateSettings],
+  );
+
+  const updateEpisode = useCallback(
+    (episode, changes) => {
+      setEditHistory((history) => [...history, raw]);
+      showRows(raw.map((row) => (row.episode === episode ? withDerivedFields({ ...row, ...changes }) : row)));
+    },
+    [raw, showRows],
+  );
+
+  const undoEdit = useCallback(() => {
+    if (!editHistory.length) {
+      return;
+    }
+    showRows(editHistory[editHistory.length - 1]);
+    setEditHistory(editHistory.slice(0, -1));
+  }, [editHistory, showRows]);
+
+  const exportCsv = useCallback(
+    () => (dataset ? episodesToCsv(raw, parsedRows, dataset) : ''),
+    [dataset, parsedRows, raw],
+  );
+
+  const source = useMemo(() => {
+    const base = dataset ?? SAMPLE_SOURCE;
+    return {
+      id: base.id ?? null,
+      name: base.name,
+      isSample: base.isSample,
+      feed: feed
+        ? {
+            name: feed.name,
+            title: feed.title,
+            matched: raw.filter((row) => feed.episodes.has(row.episode)).length,
+            skipped: feed.skipped,
+          }
+        : null,
+    };
+  }, [dataset, feed, raw]);
 
   return {
-    episodes: memoized.episodes,
-    summary: memoized.summary,
-    insights: memoized.insights,
+    episodes: analysis.episodes,
+    summary: analysis.summary,
+    insights: analysis.insights,
+    anomalies: analysis.anomalies,
+    forecast: analysis.forecast,
+    guests: analysis.guests,
+    topics: analysis.topics,
+    drivers: analysis.drivers,
+    durationBuckets: analysis.durationBuckets,
+    retention: analysis.retention,
+    goalProgress: analysis.goalProgress,
+    alerts: analysis.alerts,
+    issues,
+    source,
+    datasets,
     loading,
+    progress,
     error,
+    importError,
+    storageError,
+    analysisError,
+    pendingImport,
+    importFile,
+    confirmImport,
+    cancelImport,
+    removeFeed,
+    selectDataset,
+    renameDataset,
+    removeDataset,
+    updateEpisode,
+    undoEdit,
+    canUndo: editHistory.length > 0,
+    exportCsv,
+    smoothing: settings.smoothing,
+    setSmoothing,
+    comparison: settings.comparison,
+    setComparison,
+    forecastHorizon: settings.forecastHorizon,
+    setForecastHorizon,
+    topicRules: settings.topicRules,
+    setTopicRules,
+    goals: settings.goals,
+    setGoals,
+    alertRules: settings.alertRules,
+    setAlertRules,
+    durationEdges: settings.durationEdges,
+    setDurationEdges,
   };
 };
@@ -0,0 +1,26 @@
+import { useMemo, useState } from 'react';
+import { DEFAULT_FIT_METHOD, fitCurve } from '../lib/curveFit.js';
+
+// Shared fit state for the scatter plots: which curve to fit, and whether to plot
+// each point's residual (actual − fitted) instead of its value. In residual mode
+// `plotted` carries the residual as `y` and the original value as `actual`.
+export const useScatterFit = (points) => {
+  const [method, setMethod] = useState(DEFAULT_FIT_METHOD);
+  const [showResiduals, setShowResiduals] = useState(false);
+  const fit = useMemo(() => fitCurve(points, method), [points, method]);
+  const isResiduals = showResiduals && fit !== null;
+
+  const plotted = useMemo(
+    () => (isResiduals ? points.map((p, i) => ({ ...p, y: fit.residuals[i], actual: p.y })) : points),
+    [points, fit, isResiduals],
+  );
+
+  return {
+    method,
+    setMethod,
+    showResiduals: isResiduals,
+    setShowResiduals,
+    fit,
+    plotted,
+  };
+};
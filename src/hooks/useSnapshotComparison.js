@@ -0,0 +1,46 @@
+import { useEffect, useMemo, useState } from 'react';
+import { diffSnapshots } from '../lib/snapshotDiff.js';
+import { readDatasetRows } from './usePodcastData.js';
+
+// `baselineId` is a saved dataset id, SAMPLE_DATASET_ID, or null when not comparing.
+export const useSnapshotComparison = (baselineId, currentRows) => {
+  const [baselineRows, setBaselineRows] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setBaselineRows(null);
+    setError(null);
+    if (!baselineId) {
+      setLoading(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    readDatasetRows(baselineId)
+      .then((rows) => {
+        if (!cancelled) {
+          setBaselineRows(rows);
+          setLoading(false);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err);
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [baselineId]);
+
+  const diff = useMemo(
+    () => (baselineRows && currentRows.length ? diffSnapshots(baselineRows, currentRows) : null),
+    [baselineRows, currentRows],
+  );
+
+  return { diff, loading, error };
+};
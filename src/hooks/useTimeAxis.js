@@ -0,0 +1,26 @@
+import { useState } from 'react';
+import { timeFormat } from 'd3-time-format';
+
+export const formatPublishDate = timeFormat('%b %-d, %Y');
+
+const formatEpisodeTick = (tick) => `Ep ${Math.round(tick)}`;
+
+// Shared x-axis state for the time-series charts: plot against episode number, or
+// against publish date when every episode has one.
+export const useTimeAxis = (data) => {
+  const [mode, setMode] = useState('episode');
+  const hasDates = data.length > 0 && data.every((d) => d.publishDate);
+  const isTime = hasDates && mode === 'date';
+
+  return {
+    mode: isTime ? 'date' : 'episode',
+    setMode,
+    hasDates,
+    isTime,
+    xScaleType: isTime ? 'time' : 'linear',
+    xValue: isTime ? (d) => d.publishDate : (d) => d.episode,
+    // Episode order and release order can disagree, so sort before drawing lines.
+    series: isTime ? [...data].sort((a, b) => a.publishDate - b.publishDate) : data,
+    tickFormat: (scale, count) => (isTime ? scale.tickFormat(count) : formatEpisodeTick),
+  };
+};
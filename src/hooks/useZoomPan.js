@@ -1,5 +1,5 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { scaleLinear } from 'd3-scale';
+import { scaleLinear, scaleTime } from 'd3-scale';
 import { select } from 'd3-selection';
 import { zoom as d3Zoom, zoomIdentity } from 'd3-zoom';
 
@@ -54,14 +54,25 @@ const clampDomain = (candidate, base) => {
   return ascending ? [candMin, candMax] : [candMax, candMin];
 };
 
+// Domains are tracked as numbers internally; with `xScaleType: 'time'` the x domain
+// is passed in and handed back as Dates so charts can feed it straight to scaleTime.
 export const useZoomPan = ({
   width,
   height,
   margin,
-  xDomain: initialXDomain,
+  xDomain: baseXDomain,
   yDomain: initialYDomain,
+  xScaleType = 'linear',
   maxZoom = 10,
 }) => {
+  const isTimeX = xScaleType === 'time';
+  const xStart = baseXDomain ? Number(baseXDomain[0]) : null;
+  const xEnd = baseXDomain ? Number(baseXDomain[1]) : null;
+  const initialXDomain = useMemo(
+    () => (xStart === null ? null : [xStart, xEnd]),
+    [xStart, xEnd],
+  );
+
   const overlayRef = useRef(null);
   const zoomBehaviorRef = useRef(null);
   const [domains, setDomains] = useState(() => ({
@@ -91,6 +102,7 @@ export const useZoomPan = ({
     initialXDomain ? initialXDomain[1] : null,
     initialYDomain ? initialYDomain[0] : null,
     initialYDomain ? initialYDomain[1] : null,
+    isTimeX,
   ]);
 
   useEffect(() => {
@@ -98,7 +110,9 @@ export const useZoomPan = ({
       return;
     }
 
-    const baseXScale = initialXDomain ? scaleLinear().domain(initialXDomain).range(ranges.xRange) : null;
+    const baseXScale = initialXDomain
+      ? (isTimeX ? scaleTime() : scaleLinear()).domain(initialXDomain).range(ranges.xRange)
+      : null;
     const baseYScale = initialYDomain ? scaleLinear().domain(initialYDomain).range(ranges.yRange) : null;
 
     const zoomBehavior = d3Zoom()
@@ -150,6 +164,7 @@ export const useZoomPan = ({
     margin.right,
     margin.top,
     maxZoom,
+    isTimeX,
     ranges.xRange ? ranges.xRange[0] : null,
     ranges.xRange ? ranges.xRange[1] : null,
     ranges.yRange ? ranges.yRange[0] : null,
@@ -171,8 +186,10 @@ export const useZoomPan = ({
     }
   }, [initialXDomain, initialYDomain]);
 
+  const xDomain = domains.xDomain ?? initialXDomain;
+
   return {
-    xDomain: domains.xDomain ?? initialXDomain,
+    xDomain: isTimeX && xDomain ? xDomain.map((value) => new Date(value)) : xDomain,
     yDomain: domains.yDomain ?? initialYDomain,
     zoomRef: overlayRef,
     resetZoom,
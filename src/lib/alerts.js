@@ -0,0 +1,167 @@
+// Threshold alert rules, checked every time the data is analyzed. A rule is
+// { id, metric, comparator, threshold, count }:
+//   - `below` / `above` fire on any streak of `count` or more consecutive episodes
+//     past the threshold ("completion rate below 60% for 3 episodes in a row");
+//   - `drops` / `rises` compare the average of the latest `count` episodes with the
+//     `count` before them ("new-listener share dropped 10 points").
+// Thresholds are stored in the metric's own units: fractions for rates, and for a
+// change, percentage points of a rate or a fraction of a count (0.2 = 20%). A change
+// threshold must be above 0, or the rule would fire when nothing changed.
+
+export const ALERT_METRICS = [
+  { key: 'completionRate', label: 'Completion rate', chart: 'completion', rate: true },
+  { key: 'newListenerRatio', label: 'New-listener share', chart: 'listenerMix', rate: true },
+  { key: 'downloads', label: 'Downloads', chart: 'downloads', rate: false },
+  { key: 'subscribersGained', label: 'Subscribers gained', chart: 'subscriberGrowth', rate: false },
+  { key: 'socialMediaShares', label: 'Social shares', chart: 'sharesToSubs', rate: false },
+];
+
+export const ALERT_COMPARATORS = [
+  { key: 'below', label: 'is below', change: false },
+  { key: 'above', label: 'is above', change: false },
+  { key: 'drops', label: 'drops by', change: true },
+  { key: 'rises', label: 'rises by', change: true },
+];
+
+export const DEFAULT_ALERT_RULES = [];
+
+// Longest streak or window a rule may ask for.
+export const MAX_ALERT_COUNT = 52;
+
+// Streaks listed in an alert message, most recent first.
+const LISTED_STREAKS = 3;
+
+const metricsByKey = new Map(ALERT_METRICS.map((metric) => [metric.key, metric]));
+const comparatorsByKey = new Map(ALERT_COMPARATORS.map((comparator) => [comparator.key, comparator]));
+
+export const isValidAlertRules = (rules) =>
+  Array.isArray(rules) &&
+  rules.every(
+    (rule) =>
+      typeof rule?.id === 'string' &&
+      metricsByKey.has(rule.metric) &&
+      comparatorsByKey.has(rule.comparator) &&
+      Number.isFinite(rule.threshold) &&
+      (comparatorsByKey.get(rule.comparator).change ? rule.threshold > 0 : rule.threshold >= 0) &&
+      Number.isInteger(rule.count) &&
+      rule.count >= 1 &&
+      rule.count <= MAX_ALERT_COUNT,
+  );
+
+// How the rule editor shows a threshold: percent for rates and relative changes,
+// points for a change in a rate.
+export const thresholdUnit = (metricKey, comparatorKey) => {
+  const { rate } = metricsByKey.get(metricKey);
+  const { change } = comparatorsByKey.get(comparatorKey);
+  if (rate && change) {
+    return { scale: 100, suffix: ' pts' };
+  }
+  return rate || change ? { scale: 100, suffix: '%' } : { scale: 1, suffix: '' };
+};
+
+const formatValue = (metric, value) =>
+  metric.rate ? `${(value * 100).toFixed(1)}%` : Math.round(value).toLocaleString();
+
+const formatThreshold = (rule) => {
+  const { scale, suffix } = thresholdUnit(rule.metric, rule.comparator);
+  return `${Number((rule.threshold * scale).toFixed(2)).toLocaleString()}${suffix}`;
+};
+
+const formatEpisodes = (first, last) => (first === last ? `Ep ${first}` : `Ep ${first}–${last}`);
+
+// "Completion rate is below 60% for 3 episodes in a row".
+export const describeAlertRule = (rule) => {
+  const metric = metricsByKey.get(rule.metric);
+  const comparator = comparatorsByKey.get(rule.comparator);
+  const span = comparator.change
+    ? `over the last ${rule.count === 1 ? 'episode' : `${rule.count} episodes`}`
+    : `for ${rule.count === 1 ? '1 episode' : `${rule.count} episodes in a row`}`;
+  return `${metric.label} ${comparator.label} ${formatThreshold(rule)} ${span}`;
+};
+
+// Runs of consecutive episodes passing `test`, at least `count` long, as index ranges.
+const streaks = (values, test, count) => {
+  const runs = [];
+  let start = null;
+  values.forEach((value, index) => {
+    if (test(value)) {
+      start ??= index;
+    } else {
+      if (start !== null && index - start >= count) {
+        runs.push([start, index - 1]);
+      }
+      start = null;
+    }
+  });
+  if (start !== null && values.length - start >= count) {
+    runs.push([start, values.length - 1]);
+  }
+  return runs;
+};
+
+const evaluateLevel = (rule, metric, episodes, values) => {
+  const test = rule.comparator === 'below' ? (value) => value < rule.threshold : (value) => value > rule.threshold;
+  const runs = streaks(values, test, rule.count);
+  if (!runs.length) {
+    return null;
+  }
+  const listed = runs
+    .slice(-LISTED_STREAKS)
+    .reverse()
+    .map(([start, end]) => formatEpisodes(episodes[start].episode, episodes[end].episode));
+  const more = runs.length > LISTED_STREAKS ? ` and ${runs.length - LISTED_STREAKS} earlier` : '';
+  return {
+    episodes: runs.flatMap(([start, end]) => episodes.slice(start, end + 1).map((d) => d.episode)),
+    ongoing: runs[runs.length - 1][1] === values.length - 1,
+    message: `${metric.label} ${rule.comparator} ${formatThreshold(rule)} in ${listed.join(', ')}${more}.`,
+  };
+};
+
+const evaluateChange = (rule, metric, episodes, values) => {
+  if (values.length < rule.count * 2) {
+    return null;
+  }
+  const mean = (slice) => slice.reduce((sum, value) => sum + value, 0) / slice.length;
+  const previous = mean(values.slice(-rule.count * 2, -rule.count));
+  const latest = mean(values.slice(-rule.count));
+  if (!metric.rate && previous === 0) {
+    return null;
+  }
+  const change = metric.rate ? latest - previous : (latest - previous) / previous;
+  if (rule.comparator === 'drops' ? -change < rule.threshold : change < rule.threshold) {
+    return null;
+  }
+  const recent = episodes.slice(-rule.count);
+  const amount = formatThreshold({ ...rule, threshold: Math.abs(change) });
+  return {
+    episodes: recent.map((d) => d.episode),
+    ongoing: true,
+    message: `${metric.label} ${rule.comparator === 'drops' ? 'dropped' : 'rose'} ${amount} (${formatValue(metric, previous)} → ${formatValue(metric, latest)}) in ${formatEpisodes(recent[0].episode, recent[recent.length - 1].episode)} against the ${rule.count} episodes before.`,
+  };
+};
+
+// One entry per rule: { id, rule, description, metric, chart, triggered, episodes,
+// ongoing, message }. `episodes` are the offending episode numbers; `ongoing` says
+// whether the latest episode is one of them.
+export const evaluateAlertRules = (episodes, rules) =>
+  rules.map((rule) => {
+    const metric = metricsByKey.get(rule.metric);
+    const values = episodes.map((d) => d[metric.key]);
+    const evaluate = comparatorsByKey.get(rule.comparator).change ? evaluateChange : evaluateLevel;
+    const result = episodes.length ? evaluate(rule, metric, episodes, values) : null;
+    return {
+      id: rule.id,
+      rule,
+      description: describeAlertRule(rule),
+      metric: rule.metric,
+      chart: metric.chart,
+      triggered: result !== null,
+      episodes: result?.episodes ?? [],
+      ongoing: result?.ongoing ?? false,
+      message: result?.message ?? null,
+    };
+  });
+
+// Episode numbers flagged by triggered alerts on `chart`.
+export const alertedEpisodes = (alerts, chart) =>
+  new Set(alerts.filter((alert) => alert.triggered && alert.chart === chart).flatMap((alert) => alert.episodes));
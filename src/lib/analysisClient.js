@@ -0,0 +1,76 @@
+import { DatasetValidationError, parseEpisodes } from './parseEpisodes.js';
+import { analyzeEpisodes } from './analytics.js';
+
+const reviveError = ({ name, message, issues }) =>
+  name === 'DatasetValidationError' ? new DatasetValidationError(message, issues) : new Error(message);
+
+const abortError = () => new DOMException('The analysis was superseded.', 'AbortError');
+
+// Posts `message` to a fresh analysis worker and settles with its answer. Aborting
+// `signal` terminates the worker straight away, so superseded work stops using the CPU.
+const runWorker = (message, onProgress, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const worker = new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' });
+    const stop = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', cancel);
+    };
+    const cancel = () => {
+      stop();
+      reject(abortError());
+    };
+    signal?.addEventListener('abort', cancel);
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress({ phase: data.phase, fraction: data.fraction });
+        return;
+      }
+      stop();
+      if (data.type === 'error') {
+        reject(reviveError(data.error));
+      } else {
+        resolve(data.result);
+      }
+    };
+    worker.onerror = (event) => {
+      stop();
+      reject(new Error(event.message || 'The analysis worker stopped unexpectedly.'));
+    };
+    worker.postMessage(message);
+  });
+
+// Resolves to { rows, issues, analysis } like parseEpisodes + analyzeEpisodes, but does
+// the work in a Web Worker so large catalogs don't block the UI. `settings` is passed
+// to analyzeEpisodes; `onProgress` receives { phase: 'parse' | 'analyze', fraction }.
+// Each call gets its own worker, which is terminated once it answers. Falls back to
+// the main thread where workers aren't available.
+export const analyzeInWorker = (text, options = {}, { settings, onProgress = () => {} } = {}) => {
+  if (typeof Worker === 'undefined') {
+    return new Promise((resolve) => {
+      const parsed = parseEpisodes(text, options);
+      resolve({ ...parsed, analysis: analyzeEpisodes(parsed.rows, settings) });
+    });
+  }
+  return runWorker({ text, options, settings }, onProgress);
+};
+
+// Resolves to analyzeEpisodes(rows, settings), computed in a worker like
+// analyzeInWorker; used after edits and settings changes. Aborting `signal` stops the
+// worker and rejects with an AbortError.
+export const reanalyzeInWorker = (rows, { settings, onProgress = () => {}, signal } = {}) => {
+  if (typeof Worker === 'undefined') {
+    return new Promise((resolve, reject) => {
+      const analysis = analyzeEpisodes(rows, settings);
+      if (signal?.aborted) {
+        reject(abortError());
+      } else {
+        resolve(analysis);
+      }
+    });
+  }
+  return runWorker({ rows, settings }, onProgress, signal);
+};
@@ -0,0 +1,31 @@
+// Web Worker entry: computes the derived metrics off the main thread, parsing the CSV
+// first when given `text` and re-analyzing already parsed `rows` otherwise.
+// Messages out are { type: 'progress', phase, fraction }, then exactly one
+// { type: 'result', result } or { type: 'error', error }.
+
+import { parseEpisodes } from './parseEpisodes.js';
+import { analyzeEpisodes } from './analytics.js';
+
+const analyze = (rows, settings) => {
+  self.postMessage({ type: 'progress', phase: 'analyze', fraction: 0 });
+  return analyzeEpisodes(rows, settings, {
+    onProgress: (fraction) => self.postMessage({ type: 'progress', phase: 'analyze', fraction }),
+  });
+};
+
+self.onmessage = ({ data: { text, rows, options, settings } }) => {
+  try {
+    if (rows) {
+      self.postMessage({ type: 'result', result: analyze(rows, settings) });
+      return;
+    }
+    self.postMessage({ type: 'progress', phase: 'parse', fraction: 0 });
+    const parsed = parseEpisodes(text, {
+      ...options,
+      onProgress: (fraction) => self.postMessage({ type: 'progress', phase: 'parse', fraction }),
+    });
+    self.postMessage({ type: 'result', result: { ...parsed, analysis: analyze(parsed.rows, settings) } });
+  } catch (err) {
+    self.postMessage({ type: 'error', error: { name: err.name, message: err.message, issues: err.issues } });
+  }
+};
@@ -0,0 +1,382 @@
+// Framework-free podcast analytics: derived per-episode metrics, the catalog summary,
+// and the ranked insights from the insight rules. Used by usePodcastData and the
+// report CLI (scripts/report.js), so it must not import React or touch the DOM.
+
+import { timeFormat, timeParse } from 'd3-time-format';
+import { detectAnomalies } from './anomalies.js';
+import { describeCorrelation } from './correlation.js';
+import { DEFAULT_FORECAST_HORIZON, forecastEpisodes } from './forecast.js';
+import { DEFAULT_GOALS, evaluateGoals } from './goals.js';
+import { DEFAULT_ALERT_RULES, evaluateAlertRules } from './alerts.js';
+import { DEFAULT_DURATION_EDGES, analyzeDurationBuckets } from './durationBuckets.js';
+import { estimateRetention } from './retention.js';
+import { buildGuestLeaderboard, splitGuests } from './guests.js';
+import { DEFAULT_TOPIC_RULES, assignTopics, summarizeTopics } from './topics.js';
+import { fitDrivers } from './regression.js';
+import { runInsightRules } from './insightEngine.js';
+import { INSIGHT_RULES } from './insightRules.js';
+import { CUSTOM_INSIGHT_RULES } from './customInsightRules.js';
+
+export const SMOOTHING_METHODS = [
+  { key: 'simple', label: 'Moving average', legend: 'moving average', short: 'avg' },
+  { key: 'exponential', label: 'Exponential', legend: 'exponential average', short: 'EMA' },
+  { key: 'centered', label: 'Centered', legend: 'centered average', short: 'centered' },
+  { key: 'median', label: 'Rolling median', legend: 'rolling median', short: 'median' },
+];
+
+export const SMOOTHING_WINDOW_RANGE = [2, 52];
+
+export const DEFAULT_SMOOTHING = { method: 'simple', window: 7 };
+
+const methodFor = (method) => SMOOTHING_METHODS.find((entry) => entry.key === method) ?? SMOOTHING_METHODS[0];
+
+// Legend text, e.g. "7-episode moving average".
+export const describeSmoothing = ({ method, window }) => `${window}-episode ${methodFor(method).legend}`;
+
+// Tooltip label, e.g. "7-ep avg".
+export const smoothingShortLabel = ({ method, window }) => `${window}-ep ${methodFor(method).short}`;
+
+// Trailing mean over the last `window` items. The window total is updated as it slides
+// instead of re-summed per index, so large catalogs stay linear.
+export const rollingAverage = (series, accessor, window = DEFAULT_SMOOTHING.window) => {
+  let total = 0;
+  return series.map((item, index) => {
+    total += accessor(item);
+    if (index >= window) {
+      total -= accessor(series[index - window]);
+    }
+    return total / Math.min(index + 1, window);
+  });
+};
+
+// Mean of a window centred on each item (it looks ahead as well as back), narrowed
+// at both ends of the series. Prefix sums keep it linear.
+export const centeredAverage = (series, accessor, window = DEFAULT_SMOOTHING.window) => {
+  const prefix = [0];
+  series.forEach((item, index) => prefix.push(prefix[index] + accessor(item)));
+  const before = Math.floor((window - 1) / 2);
+  const after = window - 1 - before;
+  return series.map((item, index) => {
+    const start = Math.max(0, index - before);
+    const end = Math.min(series.length, index + after + 1);
+    return (prefix[end] - prefix[start]) / (end - start);
+  });
+};
+
+// Exponential moving average with the usual span convention: alpha = 2 / (window + 1).
+export const exponentialAverage = (series, accessor, window = DEFAULT_SMOOTHING.window) => {
+  const alpha = 2 / (window + 1);
+  let previous = null;
+  return series.map((item) => {
+    const value = accessor(item);
+    previous = previous === null ? value : alpha * value + (1 - alpha) * previous;
+    return previous;
+  });
+};
+
+// Trailing median. The window is kept sorted and updated by binary insertion and
+// removal, so each step costs O(window) rather than a full sort.
+export const rollingMedian = (series, accessor, window = DEFAULT_SMOOTHING.window) => {
+  const sorted = [];
+  const insertionIndex = (value) => {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sorted[mid] < value) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  return series.map((item, index) => {
+    const value = accessor(item);
+    sorted.splice(insertionIndex(value), 0, value);
+    if (index >= window) {
+      sorted.splice(insertionIndex(accessor(series[index - window])), 1);
+    }
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  });
+};
+
+const SMOOTHERS = {
+  simple: rollingAverage,
+  exponential: exponentialAverage,
+  centered: centeredAverage,
+  median: rollingMedian,
+};
+
+export const smoothSeries = (series, accessor, { method, window } = DEFAULT_SMOOTHING) =>
+  (SMOOTHERS[method] ?? rollingAverage)(series, accessor, window);
+
+export { correlation } from './correlation.js';
+
+const arrAverage = (arr, accessor) => arr.reduce((sum, item) => sum + accessor(item), 0) / arr.length;
+
+const percentChange = (before, after) => (before === 0 ? 0 : ((after - before) / before) * 100);
+
+// Adds running totals, smoothed trends, per-download ratios, and the individual
+// guests named in `guest` to parsed rows.
+// `downloadsRolling` and `completionRolling` follow the `smoothing` choice.
+export const deriveEpisodes = (rows, smoothing = DEFAULT_SMOOTHING) => {
+  const downloadsRolling = smoothSeries(rows, (d) => d.downloads, smoothing);
+  const completionRolling = smoothSeries(rows, (d) => d.completionRate, smoothing);
+  let cumulativeSubscribers = 0;
+  let cumulativeDownloads = 0;
+  return rows.map((item, idx) => {
+    cumulativeSubscribers += item.subscribersGained;
+    cumulativeDownloads += item.downloads;
+    const newListenerRatio = item.listenersTotal === 0 ? 0 : item.newListeners / item.listenersTotal;
+
+    return {
+      ...item,
+      cumulativeSubscribers,
+      cumulativeDownloads,
+      downloadsRolling: downloadsRolling[idx],
+      completionRolling: completionRolling[idx],
+      newListenerRatio,
+      guests: splitGuests(item.guest),
+      subscribersPerThousandDownloads:
+        item.downloads === 0 ? 0 : (item.subscribersGained / item.downloads) * 1000,
+      sharesPerThousandDownloads:
+        item.downloads === 0 ? 0 : (item.socialMediaShares / item.downloads) * 1000,
+    };
+  });
+};
+
+// Period A is the baseline and period B the one being judged. Episode and date
+// ranges are inclusive: { from, to } episode numbers, or YYYY-MM-DD strings.
+export const COMPARISON_MODES = [
+  { key: 'halves', label: 'First half vs second half' },
+  { key: 'lastN', label: 'Last N vs previous N' },
+  { key: 'episodes', label: 'Episode ranges' },
+  { key: 'dates', label: 'Date ranges' },
+];
+
+export const DEFAULT_COMPARISON = { mode: 'halves' };
+
+const formatIsoDay = timeFormat('%Y-%m-%d');
+const parseIsoDay = timeParse('%Y-%m-%d');
+const formatDayLabel = timeFormat('%b %-d, %Y');
+
+const isEpisodeRange = (range) =>
+  Number.isInteger(range?.from) && Number.isInteger(range?.to) && range.from <= range.to;
+
+const isDateRange = (range) =>
+  Boolean(parseIsoDay(range?.from ?? '') && parseIsoDay(range?.to ?? '')) && range.from <= range.to;
+
+export const isValidComparison = (comparison) => {
+  switch (comparison?.mode) {
+    case 'halves':
+      return true;
+    case 'lastN':
+      return Number.isInteger(comparison.count) && comparison.count > 0;
+    case 'episodes':
+      return isEpisodeRange(comparison.a) && isEpisodeRange(comparison.b);
+    case 'dates':
+      return isDateRange(comparison.a) && isDateRange(comparison.b);
+    default:
+      return false;
+  }
+};
+
+// Sensible starting ranges when switching to `mode`: the catalog split in two.
+export const defaultComparison = (mode, episodes) => {
+  const halfwayIndex = Math.floor(episodes.length / 2);
+  const first = episodes[0];
+  const last = episodes[episodes.length - 1];
+  const middle = episodes[Math.max(0, halfwayIndex - 1)];
+  const next = episodes[halfwayIndex] ?? last;
+  switch (mode) {
+    case 'lastN':
+      return { mode, count: Math.max(1, Math.min(10, halfwayIndex)) };
+    case 'episodes':
+      return { mode, a: { from: first.episode, to: middle.episode }, b: { from: next.episode, to: last.episode } };
+    case 'dates': {
+      const byDate = episodes.filter((d) => d.publishDate).map((d) => formatIsoDay(d.publishDate)).sort();
+      if (!byDate.length) {
+        return DEFAULT_COMPARISON;
+      }
+      const split = Math.floor(byDate.length / 2);
+      return {
+        mode,
+        a: { from: byDate[0], to: byDate[Math.max(0, split - 1)] },
+        b: { from: byDate[split], to: byDate[byDate.length - 1] },
+      };
+    }
+    default:
+      return DEFAULT_COMPARISON;
+  }
+};
+
+const episodeRangeLabel = ({ from, to }) => (from === to ? `episode ${from}` : `episodes ${from}–${to}`);
+
+const dateRangeLabel = ({ from, to }) =>
+  `episodes published ${formatDayLabel(parseIsoDay(from))} – ${formatDayLabel(parseIsoDay(to))}`;
+
+// Splits `episodes` into the two periods of `comparison`. `labels.a`/`labels.b` are
+// noun phrases for insight sentences; `labels.caption` is a compact "B vs A".
+export const selectPeriods = (episodes, comparison = DEFAULT_COMPARISON) => {
+  switch (comparison.mode) {
+    case 'lastN': {
+      const { count } = comparison;
+      const splitIndex = Math.max(0, episodes.length - count);
+      return {
+        a: episodes.slice(Math.max(0, splitIndex - count), splitIndex),
+        b: episodes.slice(splitIndex),
+        labels: {
+          a: `the previous ${count} episodes`,
+          b: `the last ${count} episodes`,
+          caption: `Last ${count} vs previous ${count}`,
+        },
+      };
+    }
+    case 'episodes': {
+      const inRange = ({ from, to }) => episodes.filter((d) => d.episode >= from && d.episode <= to);
+      return {
+        a: inRange(comparison.a),
+        b: inRange(comparison.b),
+        labels: {
+          a: episodeRangeLabel(comparison.a),
+          b: episodeRangeLabel(comparison.b),
+          caption: `Ep ${comparison.b.from}–${comparison.b.to} vs ${comparison.a.from}–${comparison.a.to}`,
+        },
+      };
+    }
+    case 'dates': {
+      // ISO day strings sort chronologically, so compare them directly.
+      const inRange = ({ from, to }) =>
+        episodes.filter((d) => {
+          if (!d.publishDate) return false;
+          const day = formatIsoDay(d.publishDate);
+          return day >= from && day <= to;
+        });
+      return {
+        a: inRange(comparison.a),
+        b: inRange(comparison.b),
+        labels: {
+          a: dateRangeLabel(comparison.a),
+          b: dateRangeLabel(comparison.b),
+          caption: `${comparison.b.from} → ${comparison.b.to} vs ${comparison.a.from} → ${comparison.a.to}`,
+        },
+      };
+    }
+    default: {
+      const halfwayIndex = Math.floor(episodes.length / 2);
+      return {
+        a: episodes.slice(0, halfwayIndex),
+        b: episodes.slice(halfwayIndex),
+        labels: { a: 'the earliest half of the catalog', b: 'the latest half', caption: 'Latest half vs earliest half' },
+      };
+    }
+  }
+};
+
+export const summarizeEpisodes = (episodes, comparison = DEFAULT_COMPARISON) => {
+  const { a, b, labels } = selectPeriods(episodes, comparison);
+  const comparable = a.length > 0 && b.length > 0;
+
+  const averageDownloadsA = arrAverage(a, (d) => d.downloads);
+  const averageDownloadsB = arrAverage(b, (d) => d.downloads);
+  const avgCompletionA = arrAverage(a, (d) => d.completionRate);
+  const avgCompletionB = arrAverage(b, (d) => d.completionRate);
+  const avgNewListenerRatioA = arrAverage(a, (d) => d.newListenerRatio);
+  const avgNewListenerRatioB = arrAverage(b, (d) => d.newListenerRatio);
+
+  const latestEpisode = episodes[episodes.length - 1];
+  const correlations = {
+    sharesSubscribers: describeCorrelation(episodes, (d) => d.socialMediaShares, (d) => d.subscribersGained),
+    durationCompletion: describeCorrelation(episodes, (d) => d.durationMinutes, (d) => d.completionRate),
+  };
+
+  // The period changes are null when either period has no episodes.
+  return {
+    totalEpisodes: episodes.length,
+    averageDownloads: arrAverage(episodes, (d) => d.downloads),
+    averageCompletionRate: arrAverage(episodes, (d) => d.completionRate),
+    averageDuration: arrAverage(episodes, (d) => d.durationMinutes),
+    totalSubscribers: latestEpisode.cumulativeSubscribers,
+    comparison: { labels, episodeCounts: { a: a.length, b: b.length } },
+    downloadsGrowthPercent: comparable ? percentChange(averageDownloadsA, averageDownloadsB) : null,
+    completionRateChange: comparable
+      ? (avgCompletionB - avgCompletionA) * 100 // percentage points
+      : null,
+    newListenerShareChange: comparable
+      ? (avgNewListenerRatioB - avgNewListenerRatioA) * 100
+      : null,
+    sharesSubscribersCorrelation: correlations.sharesSubscribers.pearson.coefficient,
+    durationCompletionCorrelation: correlations.durationCompletion.pearson.coefficient,
+    correlations,
+    latestEpisode,
+  };
+};
+
+// Steps analyzeEpisodes reports progress after.
+const ANALYSIS_STAGES = 13;
+
+// Full pipeline from parsed rows (parseEpisodes().rows) to what the dashboard renders.
+// `settings` is { smoothing, comparison, forecastHorizon, topicRules, goals,
+// alertRules, durationEdges }; any may be omitted for the defaults. A horizon of 0
+// turns forecasting off, and empty topic rules mean automatic topics. `goalProgress`
+// and `alerts` evaluate each goal and alert rule against the data. `insights` are the
+// findings of the built-in and custom insight rules, best first. `onProgress`, if
+// given, is called with the fraction of the analysis stages done so far.
+export const analyzeEpisodes = (
+  rows,
+  {
+    smoothing = DEFAULT_SMOOTHING,
+    comparison = DEFAULT_COMPARISON,
+    forecastHorizon = DEFAULT_FORECAST_HORIZON,
+    topicRules = DEFAULT_TOPIC_RULES,
+    goals = DEFAULT_GOALS,
+    alertRules = DEFAULT_ALERT_RULES,
+    durationEdges = DEFAULT_DURATION_EDGES,
+  } = {},
+  { onProgress } = {},
+) => {
+  if (!rows.length) {
+    return {
+      episodes: [],
+      summary: null,
+      insights: [],
+      anomalies: [],
+      forecast: null,
+      guests: [],
+      topics: null,
+      drivers: null,
+      durationBuckets: null,
+      retention: null,
+      goalProgress: [],
+      alerts: evaluateAlertRules([], alertRules),
+    };
+  }
+  let stagesDone = 0;
+  const stage = (result) => {
+    stagesDone += 1;
+    onProgress?.(stagesDone / ANALYSIS_STAGES);
+    return result;
+  };
+  const derived = stage(deriveEpisodes(rows, smoothing));
+  const { byEpisode, ...topicAssignment } = stage(assignTopics(derived, topicRules));
+  const episodes = derived.map((d) => ({ ...d, topics: byEpisode.get(d.episode) }));
+  const summary = stage(summarizeEpisodes(episodes, comparison));
+  const forecast = stage(forecastEpisodes(episodes, forecastHorizon));
+  const analysis = {
+    episodes,
+    summary,
+    anomalies: stage(detectAnomalies(episodes)),
+    forecast,
+    guests: stage(buildGuestLeaderboard(episodes)),
+    topics: stage(summarizeTopics(topicAssignment, episodes)),
+    drivers: stage(fitDrivers(episodes)),
+    durationBuckets: stage(analyzeDurationBuckets(episodes, durationEdges)),
+    retention: stage(estimateRetention(episodes)),
+    goalProgress: stage(evaluateGoals(episodes, goals)),
+    alerts: stage(evaluateAlertRules(episodes, alertRules)),
+  };
+  return {
+    ...analysis,
+    insights: stage(runInsightRules([...INSIGHT_RULES, ...CUSTOM_INSIGHT_RULES], analysis)),
+  };
+};
@@ -0,0 +1,89 @@
+// Flags episodes whose metrics sit far outside what the preceding episodes achieved.
+// Each value is scored against a trailing baseline with the modified z-score
+// (0.6745 * (x - median) / MAD), which a single earlier outlier can't drag around the
+// way a mean and standard deviation would.
+
+const formatCount = (value) => Math.round(value).toLocaleString();
+
+export const ANOMALY_METRICS = [
+  { key: 'downloads', label: 'Downloads', format: formatCount },
+  { key: 'completionRate', label: 'Completion rate', format: (value) => `${(value * 100).toFixed(1)}%` },
+  { key: 'subscribersGained', label: 'Subscribers gained', format: formatCount },
+  { key: 'socialMediaShares', label: 'Social shares', format: formatCount },
+];
+
+export const ANOMALY_BASELINE_WINDOW = 12;
+export const ANOMALY_THRESHOLD = 3.5;
+
+// Episodes before this many predecessors exist have too little history to judge.
+const MIN_BASELINE = 5;
+
+// Scales a mean absolute deviation to match the MAD for normally distributed data.
+const MEAN_DEVIATION_SCALE = 1.2533;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Low-variance baselines (small subscriber counts, say) often have a MAD of zero;
+// fall back to the mean absolute deviation, and skip the point if that is zero too.
+const robustScore = (value, baseline) => {
+  const center = median(baseline);
+  const deviations = baseline.map((v) => Math.abs(v - center));
+  const mad = median(deviations);
+  if (mad > 0) {
+    return { center, score: (0.6745 * (value - center)) / mad };
+  }
+  const meanDeviation = deviations.reduce((sum, v) => sum + v, 0) / deviations.length;
+  if (meanDeviation > 0) {
+    return { center, score: (value - center) / (MEAN_DEVIATION_SCALE * meanDeviation) };
+  }
+  return { center, score: 0 };
+};
+
+// Returns one entry per flagged (episode, metric), most recent episode first:
+// { episode, title, metric, metricLabel, value, baseline, score, direction, reason }.
+export const detectAnomalies = (
+  episodes,
+  { window = ANOMALY_BASELINE_WINDOW, threshold = ANOMALY_THRESHOLD } = {},
+) => {
+  const anomalies = [];
+  ANOMALY_METRICS.forEach((metric) => {
+    const values = episodes.map((d) => d[metric.key]);
+    values.forEach((value, index) => {
+      if (index < MIN_BASELINE) {
+        return;
+      }
+      const { center, score } = robustScore(value, values.slice(Math.max(0, index - window), index));
+      if (Math.abs(score) < threshold) {
+        return;
+      }
+      const direction = score > 0 ? 'high' : 'low';
+      anomalies.push({
+        episode: episodes[index].episode,
+        title: episodes[index].title,
+        metric: metric.key,
+        metricLabel: metric.label,
+        value,
+        baseline: center,
+        score,
+        direction,
+        reason: `${metric.label} ${metric.format(value)} is far ${direction === 'high' ? 'above' : 'below'} the recent typical ${metric.format(center)} (score ${score > 0 ? '+' : '−'}${Math.abs(score).toFixed(1)})`,
+      });
+    });
+  });
+  return anomalies.sort((a, b) => b.episode - a.episode || Math.abs(b.score) - Math.abs(a.score));
+};
+
+// Map of episode number → its anomalies, limited to `metrics`, for chart markers.
+export const groupAnomalies = (anomalies, metrics) => {
+  const byEpisode = new Map();
+  anomalies
+    .filter((anomaly) => metrics.includes(anomaly.metric))
+    .forEach((anomaly) => {
+      byEpisode.set(anomaly.episode, [...(byEpisode.get(anomaly.episode) ?? []), anomaly]);
+    });
+  return byEpisode;
+};
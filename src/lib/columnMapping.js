@@ -0,0 +1,139 @@
+import { csvParseRows } from 'd3-dsv';
+
+// Dashboard fields in the order the bundled CSV lists them. `aliases` are matched
+// against normalized header names from hosting-provider exports.
+export const DATASET_FIELDS = [
+  {
+    key: 'episode',
+    label: 'Episode number',
+    required: true,
+    aliases: ['episode', 'episode_number', 'episode_no', 'ep', 'ep_number', 'number', 'no'],
+  },
+  { key: 'title', label: 'Title', required: false, aliases: ['title', 'episode_title', 'name', 'episode_name'] },
+  {
+    key: 'description',
+    label: 'Description',
+    required: false,
+    aliases: ['description', 'summary', 'notes', 'show_notes', 'episode_description'],
+  },
+  { key: 'guest', label: 'Guest', required: false, aliases: ['guest', 'guests', 'guest_name', 'guest_names'] },
+  {
+    key: 'duration',
+    label: 'Duration',
+    required: true,
+    aliases: ['duration', 'length', 'runtime', 'episode_length', 'run_time', 'audio_length', 'duration_seconds'],
+  },
+  {
+    key: 'downloads',
+    label: 'Downloads',
+    required: true,
+    aliases: ['downloads', 'plays', 'listens', 'streams', 'total_downloads', 'total_plays', 'unique_downloads'],
+  },
+  {
+    key: 'completion_numbers',
+    label: 'Completions',
+    required: true,
+    aliases: ['completion_numbers', 'completions', 'completed', 'completed_listens', 'finished', 'full_listens'],
+  },
+  {
+    key: 'new_listeners',
+    label: 'New listeners',
+    required: true,
+    aliases: ['new_listeners', 'new_audience', 'first_time_listeners', 'new_followers_listening', 'new'],
+  },
+  {
+    key: 'returning_listeners',
+    label: 'Returning listeners',
+    required: true,
+    aliases: ['returning_listeners', 'returning', 'repeat_listeners', 'returning_audience', 'existing_listeners'],
+  },
+  {
+    key: 'subscribers_gained',
+    label: 'Subscribers gained',
+    required: true,
+    aliases: ['subscribers_gained', 'new_subscribers', 'subscribers', 'follows', 'followers_gained', 'new_followers'],
+  },
+  {
+    key: 'social_media_shares',
+    label: 'Social shares',
+    required: true,
+    aliases: ['social_media_shares', 'shares', 'social_shares', 'total_shares'],
+  },
+  {
+    key: 'publish_date',
+    label: 'Publish date',
+    required: false,
+    aliases: ['publish_date', 'published', 'published_at', 'pub_date', 'release_date', 'date', 'published_date'],
+  },
+];
+
+export const DURATION_FORMATS = [
+  { key: 'clock', label: 'HH:MM:SS (MM:SS allowed)' },
+  { key: 'mmss', label: 'MM:SS' },
+  { key: 'seconds', label: 'Seconds' },
+  { key: 'minutes', label: 'Minutes' },
+];
+
+const normalizeHeader = (header) =>
+  header
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+// "Downloads (30 day)" should match as plain "downloads" as well as "downloads_30_day".
+const headerVariants = (header) => {
+  const withoutQualifier = header.replace(/\s*[([].*?[)\]]\s*/g, ' ');
+  return [normalizeHeader(header), normalizeHeader(withoutQualifier)];
+};
+
+export const readHeaders = (text) => {
+  const [firstLine = ''] = text.split(/\r?\n/, 1);
+  return (csvParseRows(firstLine)[0] ?? []).map((header) => header.trim());
+};
+
+// `coveredFields` lists fields supplied elsewhere (an RSS feed) that need no column.
+export const hasCanonicalHeaders = (headers, coveredFields = []) =>
+  DATASET_FIELDS.filter((field) => field.required).every(
+    (field) => coveredFields.includes(field.key) || headers.includes(field.key),
+  );
+
+export const detectMapping = (headers) => {
+  const mapping = {};
+  const claimed = new Set();
+
+  DATASET_FIELDS.forEach((field) => {
+    const match = headers.find(
+      (header) =>
+        !claimed.has(header) && headerVariants(header).some((variant) => field.aliases.includes(variant)),
+    );
+    if (match) {
+      mapping[field.key] = match;
+      claimed.add(match);
+    }
+  });
+
+  return mapping;
+};
+
+export const detectDurationFormat = (header, values) => {
+  const name = normalizeHeader(header ?? '');
+  if (/(^|_)(s|sec|secs|seconds)($|_)/.test(name)) {
+    return 'seconds';
+  }
+  if (/(^|_)(min|mins|minutes)($|_)/.test(name)) {
+    return 'minutes';
+  }
+
+  const samples = values.map((value) => (value ?? '').trim()).filter(Boolean);
+  if (!samples.length || samples.some((value) => value.includes(':'))) {
+    return 'clock';
+  }
+  // Plain numbers: anything past two hours is almost certainly a seconds count.
+  return samples.some((value) => Number(value) > 120) ? 'seconds' : 'minutes';
+};
+
+export const missingRequiredFields = (mapping, coveredFields = []) =>
+  DATASET_FIELDS.filter((field) => field.required && !coveredFields.includes(field.key) && !mapping[field.key]);
+
+export const presetMatchesHeaders = (preset, headers) =>
+  Object.values(preset.mapping).every((header) => headers.includes(header));
@@ -0,0 +1,241 @@
+// Correlation with enough context to judge it: Pearson and Spearman coefficients,
+// two-sided p-values, percentile bootstrap confidence intervals, and a plain-language
+// strength. The headline strength follows Spearman, which a single viral episode
+// can't inflate the way it can Pearson's r.
+
+import { tTwoSidedPValue } from './distributions.js';
+
+export const CORRELATION_STRENGTHS = [
+  { key: 'negligible', below: 0.1 },
+  { key: 'weak', below: 0.3 },
+  { key: 'moderate', below: 0.5 },
+  { key: 'strong', below: Infinity },
+];
+
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+const BOOTSTRAP_RESAMPLES = 1000;
+// Caps resamples × episodes so large catalogs don't stall the analysis. Catalogs too
+// big to afford the minimum number of resamples use the Fisher z interval instead,
+// which agrees closely with the bootstrap at those sizes.
+const BOOTSTRAP_BUDGET = 250000;
+const MIN_BOOTSTRAP_RESAMPLES = 200;
+// Fixed so the interval doesn't shift every time the analysis re-runs.
+const BOOTSTRAP_SEED = 0x5eed;
+
+// Returns NaN when either series is constant.
+const pearsonOf = (xs, ys) => {
+  const n = xs.length;
+  const meanX = xs.reduce((sum, v) => sum + v, 0) / n;
+  const meanY = ys.reduce((sum, v) => sum + v, 0) / n;
+  let numerator = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i += 1) {
+    numerator += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+  const denominator = Math.sqrt(varianceX * varianceY);
+  return denominator === 0 ? NaN : numerator / denominator;
+};
+
+// 1-based ranks; tied values share the average of the ranks they span.
+const rank = (values) => {
+  const order = Array.from(values, (_, index) => index).sort((a, b) => values[a] - values[b]);
+  const ranks = new Array(values.length);
+  let start = 0;
+  while (start < order.length) {
+    let end = start;
+    while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) {
+      end += 1;
+    }
+    const averageRank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i += 1) {
+      ranks[order[i]] = averageRank;
+    }
+    start = end + 1;
+  }
+  return ranks;
+};
+
+const spearmanOf = (xs, ys) => pearsonOf(rank(xs), rank(ys));
+
+// `scores` turns a series into what the coefficient correlates (values or ranks);
+// `fisherVariance(n)` is the variance of atanh(coefficient), and Spearman's uses the
+// Fieller–Hartley–Pearson correction.
+const ESTIMATORS = [
+  { estimate: pearsonOf, scores: (values) => values, fisherVariance: (n) => 1 / (n - 3) },
+  { estimate: spearmanOf, scores: rank, fisherVariance: (n) => 1.06 / (n - 3) },
+];
+
+const Z_95 = 1.96;
+
+// Catalogs this small get an exact permutation p-value (10! pairings at most); the
+// t approximation overstates significance there, and a perfect order among three
+// episodes happens by chance one time in three.
+const EXACT_PERMUTATION_MAX = 10;
+
+// Share of all n! pairings of `ys` with `xs` whose coefficient is at least as far from
+// 0 as the observed one. Means and spreads don't change when ys are reordered, so the
+// sum of products alone decides it, and Heap's algorithm (one swap per pairing) keeps
+// that sum up to date in constant time.
+const permutationPValue = (xs, ys) => {
+  const n = xs.length;
+  const meanX = xs.reduce((sum, v) => sum + v, 0) / n;
+  const meanY = ys.reduce((sum, v) => sum + v, 0) / n;
+  const cx = xs.map((v) => v - meanX);
+  const cy = ys.map((v) => v - meanY);
+  let products = cx.reduce((sum, v, i) => sum + v * cy[i], 0);
+  // Ties with the observed sum count as extreme despite rounding drift.
+  const scale = Math.sqrt(cx.reduce((sum, v) => sum + v * v, 0) * cy.reduce((sum, v) => sum + v * v, 0));
+  const threshold = Math.abs(products) - 1e-7 * scale;
+  let extreme = 0;
+  let total = 0;
+  const visit = () => {
+    total += 1;
+    if (Math.abs(products) >= threshold) extreme += 1;
+  };
+  const counters = new Array(n).fill(0);
+  visit();
+  let i = 1;
+  while (i < n) {
+    if (counters[i] < i) {
+      const j = i % 2 === 0 ? 0 : counters[i];
+      products += (cx[j] - cx[i]) * (cy[i] - cy[j]);
+      const swapped = cy[i];
+      cy[i] = cy[j];
+      cy[j] = swapped;
+      visit();
+      counters[i] += 1;
+      i = 1;
+    } else {
+      counters[i] = 0;
+      i += 1;
+    }
+  }
+  return extreme / total;
+};
+
+// Two-sided p-value for a coefficient under the null of no correlation: exact for
+// small catalogs, otherwise via the t statistic r·√((n−2)/(1−r²)) with n−2 degrees of
+// freedom (for Spearman, the usual large-sample approximation).
+const pValueOf = (coefficient, xs, ys, scores) => {
+  const n = xs.length;
+  if (n < 3 || Number.isNaN(coefficient)) {
+    return null;
+  }
+  if (n <= EXACT_PERMUTATION_MAX) {
+    return permutationPValue(scores(xs), scores(ys));
+  }
+  if (Math.abs(coefficient) >= 1) {
+    return 0;
+  }
+  const df = n - 2;
+  return tTwoSidedPValue(coefficient * Math.sqrt(df / (1 - coefficient ** 2)), df);
+};
+
+// mulberry32: small, fast, and seedable, which Math.random isn't.
+const seededRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const quantile = (sorted, p) => {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Percentile bootstrap: resample episodes with replacement, recompute each
+// coefficient, and take the middle 95% of the estimates.
+const bootstrapIntervals = (xs, ys, resamples) => {
+  const n = xs.length;
+  const random = seededRandom(BOOTSTRAP_SEED);
+  const estimates = ESTIMATORS.map(() => []);
+  const sampleX = new Array(n);
+  const sampleY = new Array(n);
+  for (let r = 0; r < resamples; r += 1) {
+    for (let i = 0; i < n; i += 1) {
+      const pick = Math.floor(random() * n);
+      sampleX[i] = xs[pick];
+      sampleY[i] = ys[pick];
+    }
+    ESTIMATORS.forEach(({ estimate }, index) => {
+      const value = estimate(sampleX, sampleY);
+      if (!Number.isNaN(value)) {
+        estimates[index].push(value);
+      }
+    });
+  }
+  return estimates.map((values) => {
+    if (values.length < resamples / 2) {
+      return null;
+    }
+    values.sort((a, b) => a - b);
+    return [quantile(values, 0.025), quantile(values, 0.975)];
+  });
+};
+
+const fisherIntervals = (coefficients, n) =>
+  ESTIMATORS.map(({ fisherVariance }, index) => {
+    const center = Math.atanh(Math.max(-0.999999, Math.min(0.999999, coefficients[index])));
+    const margin = Z_95 * Math.sqrt(fisherVariance(n));
+    return [Math.tanh(center - margin), Math.tanh(center + margin)];
+  });
+
+const confidenceIntervals = (xs, ys, coefficients) => {
+  const n = xs.length;
+  if (n < 4 || coefficients.some((value) => Number.isNaN(value))) {
+    return [null, null];
+  }
+  const resamples = Math.min(BOOTSTRAP_RESAMPLES, Math.floor(BOOTSTRAP_BUDGET / n));
+  return resamples < MIN_BOOTSTRAP_RESAMPLES
+    ? fisherIntervals(coefficients, n)
+    : bootstrapIntervals(xs, ys, resamples);
+};
+
+export const classifyStrength = (coefficient) =>
+  CORRELATION_STRENGTHS.find((strength) => Math.abs(coefficient) < strength.below).key;
+
+export const formatPValue = (pValue) => (pValue < 0.001 ? 'p < 0.001' : `p = ${pValue.toFixed(3)}`);
+
+// Two decimals with a true minus sign, e.g. "−0.12".
+export const formatCoefficient = (value) => `${value < -0.005 ? '−' : ''}${Math.abs(value).toFixed(2)}`;
+
+// Pearson's r; 0 when either series is empty or constant.
+export const correlation = (series, xAccessor, yAccessor) => {
+  if (!series.length) return 0;
+  const r = pearsonOf(series.map(xAccessor), series.map(yAccessor));
+  return Number.isNaN(r) ? 0 : r;
+};
+
+// { n, pearson, spearman, strength, direction, significant }, where pearson and
+// spearman are { coefficient, pValue, interval: [lower, upper] }. pValue and interval
+// are null when there are too few episodes (or too little variation) to estimate them.
+export const describeCorrelation = (series, xAccessor, yAccessor) => {
+  const xs = series.map(xAccessor);
+  const ys = series.map(yAccessor);
+  const n = xs.length;
+  const coefficients = ESTIMATORS.map(({ estimate }) => (n ? estimate(xs, ys) : NaN));
+  const intervals = confidenceIntervals(xs, ys, coefficients);
+  const [pearson, spearman] = coefficients.map((coefficient, index) => ({
+    coefficient: Number.isNaN(coefficient) ? 0 : coefficient,
+    pValue: pValueOf(coefficient, xs, ys, ESTIMATORS[index].scores),
+    interval: intervals[index],
+  }));
+  return {
+    n,
+    pearson,
+    spearman,
+    strength: classifyStrength(spearman.coefficient),
+    direction: spearman.coefficient < 0 ? 'negative' : 'positive',
+    significant: spearman.pValue !== null && spearman.pValue < SIGNIFICANCE_LEVEL,
+  };
+};
@@ -0,0 +1,192 @@
+// Curve fits for the scatter plots: least-squares polynomials (a straight line is
+// degree 1) and LOESS. Each fit gives R², the residual of every point, and a
+// prediction with a 95% confidence band for the fitted mean at any x.
+
+import { tCritical } from './distributions.js';
+import { invert } from './regression.js';
+
+export const FIT_METHODS = [
+  { key: 'linear', label: 'Linear', degree: 1 },
+  { key: 'quadratic', label: 'Polynomial (degree 2)', degree: 2 },
+  { key: 'cubic', label: 'Polynomial (degree 3)', degree: 3 },
+  { key: 'loess', label: 'LOESS' },
+];
+
+export const DEFAULT_FIT_METHOD = 'linear';
+
+// Share of the points each LOESS estimate draws on.
+export const LOESS_SPAN = 0.75;
+
+// Most distinct xs LOESS is evaluated at exactly; see fitLoess.
+const LOESS_ANCHORS = 200;
+
+const methodsByKey = new Map(FIT_METHODS.map((method) => [method.key, method]));
+
+const rSquaredOf = (ys, residuals) => {
+  const mean = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  const sst = ys.reduce((sum, y) => sum + (y - mean) ** 2, 0);
+  const sse = residuals.reduce((sum, r) => sum + r * r, 0);
+  return sst === 0 ? null : 1 - sse / sst;
+};
+
+// x is centered and scaled before taking powers so the normal equations stay well
+// conditioned for counts in the tens of thousands.
+const fitPolynomial = (points, degree) => {
+  const n = points.length;
+  const df = n - degree - 1;
+  if (df < 1) {
+    return null;
+  }
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const center = xs.reduce((sum, x) => sum + x, 0) / n;
+  const spread = Math.sqrt(xs.reduce((sum, x) => sum + (x - center) ** 2, 0) / n);
+  if (spread === 0) {
+    return null;
+  }
+  const basis = (x) => {
+    const z = (x - center) / spread;
+    return Array.from({ length: degree + 1 }, (_, power) => z ** power);
+  };
+  const rows = xs.map(basis);
+  const xtx = rows[0].map((_, a) => rows[0].map((__, b) => rows.reduce((sum, row) => sum + row[a] * row[b], 0)));
+  const inverse = invert(xtx);
+  if (!inverse) {
+    return null;
+  }
+  const xty = rows[0].map((_, a) => rows.reduce((sum, row, i) => sum + row[a] * ys[i], 0));
+  const beta = inverse.map((row) => row.reduce((sum, v, j) => sum + v * xty[j], 0));
+  const evaluate = (row) => row.reduce((sum, v, j) => sum + v * beta[j], 0);
+
+  const residuals = rows.map((row, i) => ys[i] - evaluate(row));
+  const variance = residuals.reduce((sum, r) => sum + r * r, 0) / df;
+  const critical = tCritical(df);
+
+  return {
+    rSquared: rSquaredOf(ys, residuals),
+    residuals,
+    predict: (x) => {
+      const row = basis(x);
+      const leverage = row.reduce((sum, v, a) => sum + v * row.reduce((acc, w, b) => acc + inverse[a][b] * w, 0), 0);
+      const value = evaluate(row);
+      const margin = critical * Math.sqrt(variance * leverage);
+      return { value, lower: value - margin, upper: value + margin };
+    },
+  };
+};
+
+// Local linear regression with tricube weights over the nearest `span` of the points.
+// Every estimate is a weighted sum of the ys, Σ lᵢ·yᵢ, which gives its variance
+// (σ² Σ lᵢ²) and, summed over the points' own weights, the fit's equivalent degrees
+// of freedom for estimating σ². Large catalogs are fitted at LOESS_ANCHORS evenly
+// spaced xs and interpolated between them, as R's loess does by default.
+const fitLoess = (points, span) => {
+  const n = points.length;
+  const size = Math.max(3, Math.ceil(span * n));
+  if (n < 4 || size > n) {
+    return null;
+  }
+  const sorted = [...points].sort((a, b) => a.x - b.x);
+  const xs = sorted.map((p) => p.x);
+  const ys = sorted.map((p) => p.y);
+  if (xs[0] === xs[n - 1]) {
+    return null;
+  }
+
+  // Index of the first x at or after x0.
+  const insertionIndex = (values, x0) => {
+    let low = 0;
+    let high = values.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[mid] < x0) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  // The `size` points nearest x0 are a contiguous run of the sorted xs.
+  const neighbourhood = (x0) => {
+    let lo = Math.max(0, Math.min(n - size, insertionIndex(xs, x0) - Math.floor(size / 2)));
+    while (lo > 0 && x0 - xs[lo - 1] < xs[lo + size - 1] - x0) lo -= 1;
+    while (lo + size < n && xs[lo + size] - x0 < x0 - xs[lo]) lo += 1;
+    return lo;
+  };
+
+  // The estimate at x0, Σ lᵢ², and the weight x0 itself would get.
+  const local = (x0) => {
+    const lo = neighbourhood(x0);
+    const hi = lo + size;
+    const reach = Math.max(x0 - xs[lo], xs[hi - 1] - x0) * (1 + 1e-9) || 1;
+    const weightAt = (i) => {
+      const distance = Math.abs(xs[i] - x0) / reach;
+      return distance < 1 ? (1 - distance * distance * distance) ** 3 : 0;
+    };
+    let s0 = 0;
+    let s1 = 0;
+    let s2 = 0;
+    for (let i = lo; i < hi; i += 1) {
+      const weight = weightAt(i);
+      const offset = xs[i] - x0;
+      s0 += weight;
+      s1 += weight * offset;
+      s2 += weight * offset * offset;
+    }
+    const denominator = s0 * s2 - s1 * s1;
+    // All the weight on one x: fall back to a weighted mean.
+    const flat = Math.abs(denominator) < 1e-12 * Math.max(1, s0 * s2);
+    let value = 0;
+    let sumSquares = 0;
+    for (let i = lo; i < hi; i += 1) {
+      const weight = weightAt(i);
+      const l = flat ? weight / s0 : (weight * (s2 - (xs[i] - x0) * s1)) / denominator;
+      value += l * ys[i];
+      sumSquares += l * l;
+    }
+    return { value, sumSquares, self: flat ? 1 / s0 : s2 / denominator };
+  };
+
+  const unique = xs.filter((x, i) => i === 0 || x !== xs[i - 1]);
+  const anchors =
+    unique.length <= LOESS_ANCHORS
+      ? unique
+      : Array.from({ length: LOESS_ANCHORS }, (_, i) => xs[0] + ((xs[n - 1] - xs[0]) * i) / (LOESS_ANCHORS - 1));
+  const anchorFits = anchors.map(local);
+  const interpolate = (x, key) => {
+    const index = Math.min(Math.max(insertionIndex(anchors, x), 1), anchors.length - 1);
+    const t = (x - anchors[index - 1]) / (anchors[index] - anchors[index - 1]);
+    return anchorFits[index - 1][key] * (1 - t) + anchorFits[index][key] * t;
+  };
+
+  const trace = xs.reduce((sum, x) => sum + interpolate(x, 'self'), 0);
+  const df = n - trace;
+  if (df < 1) {
+    return null;
+  }
+  const residualsSorted = xs.map((x, i) => ys[i] - interpolate(x, 'value'));
+  const variance = residualsSorted.reduce((sum, r) => sum + r * r, 0) / df;
+  const critical = tCritical(df);
+
+  // Back to the caller's point order.
+  const residualByPoint = new Map(sorted.map((p, i) => [p, residualsSorted[i]]));
+
+  return {
+    rSquared: rSquaredOf(ys, residualsSorted),
+    residuals: points.map((p) => residualByPoint.get(p)),
+    predict: (x) => {
+      const { value, sumSquares } = local(x);
+      const margin = critical * Math.sqrt(variance * sumSquares);
+      return { value, lower: value - margin, upper: value + margin };
+    },
+  };
+};
+
+// Fits `points` ({ x, y }) with one of FIT_METHODS. Returns null when there are too
+// few points or too little spread in x for the method; otherwise { method, label,
+// rSquared, residuals, predict }, with `residuals` in the order of `points` and
+// `predict(x)` giving { value, lower, upper }. R² is null when every y is the same.
+export const fitCurve = (points, methodKey = DEFAULT_FIT_METHOD) => {
+  const method = methodsByKey.get(methodKey) ?? methodsByKey.get(DEFAULT_FIT_METHOD);
+  const fit = method.key === 'loess' ? fitLoess(points, LOESS_SPAN) : fitPolynomial(points, method.degree);
+  return fit ? { method: method.key, label: method.label, ...fit } : null;
+};
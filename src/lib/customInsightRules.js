@@ -0,0 +1,16 @@
+// Your own insight rules. They run alongside the built-in ones (insightRules.js), in
+// the analysis worker, the main thread, and the report CLI, and their findings are
+// ranked together. See insightEngine.js for the rule contract. For example:
+//
+//   {
+//     id: 'long-episodes',
+//     chart: 'duration',
+//     evaluate: ({ episodes }) => {
+//       const long = episodes.filter((d) => d.durationMinutes > 60).length;
+//       return long
+//         ? { message: `${long} episodes run over an hour.`, severity: 'info', score: 0.2 }
+//         : null;
+//     },
+//   },
+
+export const CUSTOM_INSIGHT_RULES = [];
@@ -0,0 +1,105 @@
+// IndexedDB persistence for imported datasets. Metadata and file contents live in
+// separate object stores so listing the library doesn't read every CSV into memory.
+
+import { createId } from './ids.js';
+
+const DB_NAME = 'podcast-dashboard';
+const DB_VERSION = 1;
+const META_STORE = 'datasets';
+const PAYLOAD_STORE = 'payloads';
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('This browser doesn’t support IndexedDB.'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(META_STORE, { keyPath: 'id' });
+      db.createObjectStore(PAYLOAD_STORE, { keyPath: 'id' });
+    };
+    dbPromise = requestToPromise(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+const withStores = (mode, callback) =>
+  openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction([META_STORE, PAYLOAD_STORE], mode);
+        let result;
+        Promise.resolve(callback(tx.objectStore(META_STORE), tx.objectStore(PAYLOAD_STORE)))
+          .then((value) => {
+            result = value;
+          })
+          .catch(reject);
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      }),
+  );
+
+export const listDatasets = () =>
+  withStores('readonly', (meta) => requestToPromise(meta.getAll())).then((datasets) =>
+    datasets.sort((a, b) => b.importedAt - a.importedAt),
+  );
+
+// `text` and `options` are what parseEpisodes needs; `feed` is { name, text } or null.
+export const saveDataset = ({ name, fileName, rowCount, text, options, feed = null }) => {
+  const record = { id: createId(), name, fileName, rowCount, importedAt: Date.now() };
+  return withStores('readwrite', (meta, payloads) => {
+    meta.put(record);
+    payloads.put({ id: record.id, text, options, feed });
+    return record;
+  });
+};
+
+export const loadDataset = (id) =>
+  withStores('readonly', (meta, payloads) =>
+    Promise.all([requestToPromise(meta.get(id)), requestToPromise(payloads.get(id))]),
+  ).then(([record, payload]) => {
+    if (!record || !payload) {
+      throw new Error('That saved dataset no longer exists.');
+    }
+    return { ...record, ...payload };
+  });
+
+export const updateDataset = (id, { name, rowCount, feed }) =>
+  withStores('readwrite', (meta, payloads) =>
+    Promise.all([requestToPromise(meta.get(id)), requestToPromise(payloads.get(id))]).then(
+      ([record, payload]) => {
+        if (!record || !payload) {
+          return;
+        }
+        if (name !== undefined || rowCount !== undefined) {
+          meta.put({
+            ...record,
+            ...(name !== undefined ? { name } : {}),
+            ...(rowCount !== undefined ? { rowCount } : {}),
+          });
+        }
+        if (feed !== undefined) {
+          payloads.put({ ...payload, feed });
+        }
+      },
+    ),
+  );
+
+export const deleteDataset = (id) =>
+  withStores('readwrite', (meta, payloads) => {
+    meta.delete(id);
+    payloads.delete(id);
+  });
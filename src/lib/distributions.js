@@ -0,0 +1,70 @@
+// Student's t distribution, for p-values and confidence intervals on estimated
+// coefficients. Shared by the correlation and regression analyses.
+
+// Lanczos approximation, accurate to about 15 digits for x > 0.
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059, 12.507343278686905,
+  -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+const logGamma = (x) => {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  const t = z + 7.5;
+  const series = LANCZOS.reduce((sum, coefficient, index) => sum + coefficient / (z + index + 1), 0.99999999999980993);
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(series);
+};
+
+// Continued fraction for the incomplete beta function (modified Lentz's method).
+const betaContinuedFraction = (x, a, b) => {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+  for (let m = 1; m <= 200; m += 1) {
+    const even = (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 / (Math.abs(1 + even * d) < tiny ? tiny : 1 + even * d);
+    c = Math.abs(1 + even / c) < tiny ? tiny : 1 + even / c;
+    result *= d * c;
+    const odd = (-(a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 / (Math.abs(1 + odd * d) < tiny ? tiny : 1 + odd * d);
+    c = Math.abs(1 + odd / c) < tiny ? tiny : 1 + odd / c;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-12) {
+      break;
+    }
+  }
+  return result;
+};
+
+// Regularized incomplete beta I_x(a, b).
+const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+};
+
+// Two-sided p-value for a t statistic with `df` degrees of freedom.
+export const tTwoSidedPValue = (t, df) => incompleteBeta(df / (df + t * t), df / 2, 0.5);
+
+// Critical value t* with P(|T| > t*) = 1 − level, found by bisection on the p-value.
+export const tCritical = (df, level = 0.95) => {
+  let low = 0;
+  let high = 1000;
+  for (let i = 0; i < 100; i += 1) {
+    const mid = (low + high) / 2;
+    if (tTwoSidedPValue(mid, df) > 1 - level) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+};
@@ -0,0 +1,120 @@
+// Duration buckets: episodes grouped by runtime, with the distribution of completion
+// rate, downloads, and subscribers gained in each bucket (box-plot statistics), plus
+// a histogram of episode lengths. `edges` are the bucket boundaries in minutes, so
+// [25, 35, 45] gives <25, 25–35, 35–45, and 45+. A bucket includes its lower edge.
+
+import { bin, extent, quantileSorted } from 'd3-array';
+
+export const DEFAULT_DURATION_EDGES = [25, 35, 45];
+
+export const MAX_DURATION_EDGES = 8;
+
+export const DURATION_BUCKET_METRICS = [
+  { key: 'completionRate', label: 'Completion rate' },
+  { key: 'downloads', label: 'Downloads' },
+  { key: 'subscribersGained', label: 'Subscribers gained' },
+];
+
+// Buckets with fewer episodes than this aren't considered for the sweet spot.
+export const MIN_BUCKET_EPISODES = 3;
+
+// Points beyond this many interquartile ranges from the box are outliers (Tukey).
+const WHISKER_IQR = 1.5;
+
+// Histogram bin widths to pick from, in minutes.
+const HISTOGRAM_STEPS = [1, 2, 5, 10, 15, 30];
+const HISTOGRAM_TARGET_BINS = 16;
+
+export const isValidDurationEdges = (edges) =>
+  Array.isArray(edges) &&
+  edges.length >= 1 &&
+  edges.length <= MAX_DURATION_EDGES &&
+  edges.every((edge, index) => Number.isFinite(edge) && edge > 0 && (index === 0 || edge > edges[index - 1]));
+
+const formatMinutes = (value) => Number(value.toFixed(1)).toString();
+
+// In minutes: "<25", "25–35", "45+".
+const bucketLabel = (from, to) => {
+  if (from === null) return `<${formatMinutes(to)}`;
+  if (to === null) return `${formatMinutes(from)}+`;
+  return `${formatMinutes(from)}–${formatMinutes(to)}`;
+};
+
+// Five-number summary with Tukey whiskers, and the episodes outside them.
+const boxStats = (items, key) => {
+  if (!items.length) {
+    return null;
+  }
+  const sorted = [...items].sort((a, b) => a[key] - b[key]);
+  const values = sorted.map((d) => d[key]);
+  const q1 = quantileSorted(values, 0.25);
+  const q3 = quantileSorted(values, 0.75);
+  const reach = (q3 - q1) * WHISKER_IQR;
+  const inside = values.filter((value) => value >= q1 - reach && value <= q3 + reach);
+  return {
+    min: values[0],
+    q1,
+    median: quantileSorted(values, 0.5),
+    q3,
+    max: values[values.length - 1],
+    mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+    lowerWhisker: inside[0],
+    upperWhisker: inside[inside.length - 1],
+    outliers: sorted
+      .filter((d) => d[key] < q1 - reach || d[key] > q3 + reach)
+      .map((d) => ({ episode: d.episode, value: d[key] })),
+  };
+};
+
+const histogram = (episodes) => {
+  const lengths = episodes.map((d) => d.durationMinutes);
+  const [low, high] = extent(lengths);
+  const step =
+    HISTOGRAM_STEPS.find((candidate) => (high - low) / candidate <= HISTOGRAM_TARGET_BINS) ??
+    HISTOGRAM_STEPS[HISTOGRAM_STEPS.length - 1];
+  const start = Math.floor(low / step) * step;
+  const end = Math.max(start + step, Math.ceil(high / step) * step);
+  const thresholds = [];
+  for (let edge = start + step; edge < end; edge += step) {
+    thresholds.push(edge);
+  }
+  return bin()
+    .domain([start, end])
+    .thresholds(thresholds)(lengths)
+    .map((group) => ({ x0: group.x0, x1: group.x1, count: group.length }));
+};
+
+// Returns { edges, buckets, histogram, sweetSpot } or null without episodes. Each
+// bucket is { key, label, from, to, count, episodes, metrics } with `metrics` keyed
+// like DURATION_BUCKET_METRICS (null for empty buckets). `sweetSpot` is the key of
+// the bucket with the highest median completion among those with enough episodes
+// (null unless at least two qualify).
+export const analyzeDurationBuckets = (episodes, edges = DEFAULT_DURATION_EDGES) => {
+  if (!episodes.length) {
+    return null;
+  }
+  const bounds = [null, ...edges, null];
+  const buckets = bounds.slice(0, -1).map((from, index) => {
+    const to = bounds[index + 1];
+    const members = episodes.filter(
+      (d) => (from === null || d.durationMinutes >= from) && (to === null || d.durationMinutes < to),
+    );
+    return {
+      key: `bucket-${index}`,
+      label: bucketLabel(from, to),
+      from,
+      to,
+      count: members.length,
+      episodes: members.map((d) => d.episode),
+      metrics: Object.fromEntries(DURATION_BUCKET_METRICS.map((metric) => [metric.key, boxStats(members, metric.key)])),
+    };
+  });
+  const candidates = buckets.filter((bucket) => bucket.count >= MIN_BUCKET_EPISODES);
+  const sweetSpot =
+    candidates.length > 1
+      ? candidates.reduce((best, bucket) =>
+          bucket.metrics.completionRate.median > best.metrics.completionRate.median ? bucket : best,
+        ).key
+      : null;
+  return { edges, buckets, histogram: histogram(episodes), sweetSpot };
+};
@@ -0,0 +1,94 @@
+import { csvFormat, csvParse } from 'd3-dsv';
+import { timeFormat } from 'd3-time-format';
+import { DATASET_FIELDS } from './columnMapping.js';
+import { formatDuration } from './format.js';
+
+const formatIsoDay = timeFormat('%Y-%m-%d');
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+const ROW_KEYS = {
+  episode: 'episode',
+  title: 'title',
+  description: 'description',
+  guest: 'guest',
+  duration: 'durationMinutes',
+  downloads: 'downloads',
+  completion_numbers: 'completionNumbers',
+  new_listeners: 'newListeners',
+  returning_listeners: 'returningListeners',
+  subscribers_gained: 'subscribersGained',
+  social_media_shares: 'socialMediaShares',
+  publish_date: 'publishDate',
+};
+
+const formatDurationAs = (minutes, durationFormat) => {
+  switch (durationFormat) {
+    case 'seconds':
+      return String(Math.round(minutes * 60));
+    case 'minutes':
+      return String(Number(minutes.toFixed(2)));
+    case 'mmss': {
+      const totalSeconds = Math.round(minutes * 60);
+      return `${Math.floor(totalSeconds / 60)}:${pad2(totalSeconds % 60)}`;
+    }
+    default:
+      return formatDuration(minutes);
+  }
+};
+
+const formatValue = (field, value, durationFormat) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (field === 'duration') {
+    return formatDurationAs(value, durationFormat);
+  }
+  if (field === 'publish_date') {
+    return formatIsoDay(value);
+  }
+  return String(value);
+};
+
+const sameValue = (a, b) => (a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : a === b);
+
+const episodeKey = (value) => Number(String(value ?? '').replace(/[,_\s]/g, ''));
+
+// Writes edited rows back in the layout of the file they came from: same headers,
+// same column order, same duration format. Only values that were edited are
+// rewritten; everything else (including columns the dashboard ignores) is copied
+// from the source record untouched. Rows rejected on import aren't in `rows`, so they
+// are left out; the editor says how many.
+export const episodesToCsv = (rows, originalRows, { text, options = {} }) => {
+  const { mapping = {}, durationFormat = 'clock' } = options;
+  const columnFor = (field) => mapping[field] ?? field;
+  const records = csvParse(text);
+  const columns = [...records.columns];
+
+  const recordsByEpisode = new Map(records.map((record) => [episodeKey(record[columnFor('episode')]), record]));
+  const originalsByEpisode = new Map(originalRows.map((row) => [row.episode, row]));
+
+  const output = rows.map((row) => {
+    const record = { ...(recordsByEpisode.get(row.episode) ?? {}) };
+    const original = originalsByEpisode.get(row.episode);
+
+    DATASET_FIELDS.forEach(({ key: field }) => {
+      const value = row[ROW_KEYS[field]];
+      if (original && sameValue(value, original[ROW_KEYS[field]])) {
+        return;
+      }
+      const column = columnFor(field);
+      if (!columns.includes(column)) {
+        if (value === null || value === undefined || value === '') {
+          return;
+        }
+        columns.push(column);
+      }
+      record[column] = formatValue(field, value, durationFormat);
+    });
+
+    return record;
+  });
+
+  return csvFormat(output, columns);
+};
@@ -0,0 +1,152 @@
+// Local forecasting for per-episode series with Holt's linear trend method (double
+// exponential smoothing): a smoothed level plus a smoothed trend, projected forward.
+// Smoothing constants are picked by grid search on one-step-ahead error, and the
+// forecast is backtested by refitting without the most recent episodes.
+
+import { max } from 'd3-array';
+
+export const FORECAST_HORIZONS = [0, 5, 10, 20];
+
+export const DEFAULT_FORECAST_HORIZON = 10;
+
+// Fewer episodes than this make the trend estimate meaningless.
+const MIN_HISTORY = 8;
+
+const Z_95 = 1.96;
+
+const ALPHAS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+const BETAS = [0.05, 0.1, 0.2, 0.3, 0.5];
+
+// Runs the recursion over `values`; returns the final level/trend and the one-step
+// residuals it made along the way.
+const fitHolt = (values, alpha, beta) => {
+  let level = values[0];
+  let trend = values[1] - values[0];
+  const residuals = [];
+  for (let i = 1; i < values.length; i += 1) {
+    const predicted = level + trend;
+    residuals.push(values[i] - predicted);
+    const previousLevel = level;
+    level = alpha * values[i] + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+  }
+  return { level, trend, residuals };
+};
+
+const bestFit = (values) => {
+  let best = null;
+  ALPHAS.forEach((alpha) => {
+    BETAS.forEach((beta) => {
+      const fit = fitHolt(values, alpha, beta);
+      const sse = fit.residuals.reduce((sum, r) => sum + r * r, 0);
+      if (!best || sse < best.sse) {
+        best = { ...fit, alpha, beta, sse };
+      }
+    });
+  });
+  return best;
+};
+
+// Projects `horizon` steps with a 95% band. The variance of an h-step Holt forecast
+// grows by (alpha * (1 + j * beta))^2 for each step j beyond the first.
+const project = (fit, horizon, floor) => {
+  const sigma = Math.sqrt(fit.sse / Math.max(1, fit.residuals.length - 2));
+  let varianceFactor = 1;
+  return Array.from({ length: horizon }, (_, index) => {
+    const step = index + 1;
+    if (step > 1) {
+      varianceFactor += (fit.alpha * (1 + (step - 1) * fit.beta)) ** 2;
+    }
+    const value = fit.level + step * fit.trend;
+    const margin = Z_95 * sigma * Math.sqrt(varianceFactor);
+    return {
+      step,
+      value: Math.max(floor, value),
+      lower: Math.max(floor, value - margin),
+      upper: Math.max(floor, value + margin),
+    };
+  });
+};
+
+// The lowest value a projection from `values` can take: 0 for counts, the last total
+// for a cumulative series.
+const floorFor = (values, cumulative) => (cumulative ? values[values.length - 1] : 0);
+
+// Refits on everything but the last `holdout` values and compares the projection
+// with what actually happened. The floor comes from the training slice too, so the
+// holdout can't leak into it. MAPE skips zero actuals, where it is undefined.
+const backtest = (values, holdout, cumulative) => {
+  const training = values.slice(0, values.length - holdout);
+  if (holdout < 1 || training.length < MIN_HISTORY) {
+    return null;
+  }
+  const projected = project(bestFit(training), holdout, floorFor(training, cumulative));
+  const actual = values.slice(-holdout);
+  const errors = actual
+    .map((value, index) => (value === 0 ? null : Math.abs(projected[index].value - value) / Math.abs(value)))
+    .filter((error) => error !== null);
+  return errors.length
+    ? { episodes: holdout, mape: (errors.reduce((sum, e) => sum + e, 0) / errors.length) * 100 }
+    : null;
+};
+
+// `cumulative` series (running totals) never fall below their last value; other
+// series never fall below 0. Returns null when there isn't enough history.
+export const forecastSeries = (values, horizon, { cumulative = false } = {}) => {
+  if (horizon < 1 || values.length < MIN_HISTORY) {
+    return null;
+  }
+  return {
+    points: project(bestFit(values), horizon, floorFor(values, cumulative)),
+    backtest: backtest(values, Math.min(horizon, Math.floor(values.length / 4)), cumulative),
+  };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Typical gap between recent releases (in ms; `episodes` sorted by publish date), used
+// to place forecast points on a time axis.
+export const releaseInterval = (episodes) => {
+  const dates = episodes
+    .slice(-11)
+    .map((d) => d.publishDate)
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+  const gaps = dates.slice(1).map((date, index) => date - dates[index]).sort((a, b) => a - b);
+  return gaps.length ? gaps[gaps.length >> 1] : 7 * DAY_MS;
+};
+
+// Forecasts for the downloads and subscriber charts. Points carry the projected
+// episode number and, when every episode has one, an extrapolated publish date, so
+// they can be plotted on either x axis.
+export const forecastEpisodes = (episodes, horizon = DEFAULT_FORECAST_HORIZON) => {
+  if (horizon < 1 || episodes.length < MIN_HISTORY) {
+    return null;
+  }
+  const latest = episodes[episodes.length - 1];
+  const hasDates = episodes.every((d) => d.publishDate);
+  const lastDate = hasDates ? max(episodes, (d) => +d.publishDate) : null;
+  const interval = hasDates ? releaseInterval([...episodes].sort((a, b) => a.publishDate - b.publishDate)) : null;
+
+  const place = (forecast) =>
+    forecast && {
+      ...forecast,
+      points: forecast.points.map((point) => ({
+        ...point,
+        episode: latest.episode + point.step,
+        publishDate: hasDates ? new Date(lastDate + point.step * interval) : null,
+      })),
+    };
+
+  return {
+    horizon,
+    downloads: place(forecastSeries(episodes.map((d) => d.downloads), horizon)),
+    subscribers: place(
+      forecastSeries(
+        episodes.map((d) => d.cumulativeSubscribers),
+        horizon,
+        { cumulative: true },
+      ),
+    ),
+  };
+};
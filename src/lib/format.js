@@ -0,0 +1,28 @@
+// Signed, locale-formatted number with a true minus sign; zero gets no sign.
+export const formatSignedNumber = (value, digits = 0) => {
+  const rounded = Number(value.toFixed(digits));
+  const formatted = Math.abs(rounded).toLocaleString(undefined, {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  });
+  if (rounded === 0) {
+    return formatted;
+  }
+  return `${rounded > 0 ? '+' : '−'}${formatted}`;
+};
+
+export const deltaClass = (value) => {
+  if (value > 0) return 'delta-up';
+  if (value < 0) return 'delta-down';
+  return 'delta-flat';
+};
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+// Decimal minutes as H:MM:SS, the format the bundled CSV uses.
+export const formatDuration = (minutes) => {
+  const totalSeconds = Math.round(minutes * 60);
+  const hours = Math.floor(totalSeconds / 3600);
+  const mins = Math.floor((totalSeconds % 3600) / 60);
+  return `${hours}:${pad2(mins)}:${pad2(totalSeconds % 60)}`;
+};
@@ -0,0 +1,159 @@
+// KPI goals: a target for one metric by a deadline episode or date. Each goal gets its
+// progress so far and whether the current trend reaches it in time, judged by the same
+// Holt forecast the charts draw.
+
+import { timeParse } from 'd3-time-format';
+import { forecastSeries, releaseInterval } from './forecast.js';
+
+// `value` reads the per-episode figure. Cumulative metrics are judged on their latest
+// value, the others on their catalog average (as in the summary strip). Targets are
+// stored in the metric's own units; `inputScale` converts them for the goal form.
+export const GOAL_METRICS = [
+  {
+    key: 'totalSubscribers',
+    label: 'Total subscribers',
+    chart: 'subscriberGrowth',
+    cumulative: true,
+    value: (d) => d.cumulativeSubscribers,
+    inputScale: 1,
+    inputSuffix: '',
+    format: (value) => Math.round(value).toLocaleString(),
+  },
+  {
+    key: 'averageCompletion',
+    label: 'Average completion',
+    chart: 'completion',
+    cumulative: false,
+    value: (d) => d.completionRate,
+    max: 1,
+    inputScale: 100,
+    inputSuffix: '%',
+    format: (value) => `${(value * 100).toFixed(1)}%`,
+  },
+  {
+    key: 'averageDownloads',
+    label: 'Average downloads',
+    chart: 'downloads',
+    cumulative: false,
+    value: (d) => d.downloads,
+    inputScale: 1,
+    inputSuffix: '',
+    format: (value) => Math.round(value).toLocaleString(),
+  },
+];
+
+export const GOAL_STATUSES = {
+  met: 'Goal met',
+  'on-track': 'Projected to hit',
+  'off-track': 'Projected to miss',
+  missed: 'Deadline passed',
+  unknown: 'Can’t project yet',
+};
+
+export const DEFAULT_GOALS = [];
+
+// Deadlines further out than this many episodes aren't worth projecting.
+const MAX_GOAL_HORIZON = 104;
+
+const parseIsoDay = timeParse('%Y-%m-%d');
+
+const metricsByKey = new Map(GOAL_METRICS.map((metric) => [metric.key, metric]));
+
+const isValidDeadline = (deadline) =>
+  (Number.isInteger(deadline?.episode) && deadline.episode > 0) ||
+  (typeof deadline?.date === 'string' && parseIsoDay(deadline.date) !== null);
+
+export const isValidGoals = (goals) =>
+  Array.isArray(goals) &&
+  goals.every(
+    (goal) =>
+      typeof goal?.id === 'string' &&
+      metricsByKey.has(goal.metric) &&
+      Number.isFinite(goal.target) &&
+      goal.target > 0 &&
+      isValidDeadline(goal.deadline),
+  );
+
+export const formatDeadline = (deadline) => (deadline.episode ? `Ep ${deadline.episode}` : deadline.date);
+
+// The episode number a deadline falls on. Dates are converted with the typical
+// release interval, so they need every episode to have a publish date.
+const deadlineEpisode = (deadline, episodes) => {
+  const latest = episodes[episodes.length - 1];
+  if (deadline.episode) {
+    return deadline.episode;
+  }
+  if (!episodes.every((d) => d.publishDate)) {
+    return null;
+  }
+  const byDate = [...episodes].sort((a, b) => a.publishDate - b.publishDate);
+  const lastDate = byDate[byDate.length - 1].publishDate;
+  return latest.episode + Math.ceil((parseIsoDay(deadline.date) - lastDate) / releaseInterval(byDate));
+};
+
+// The metric as it would read after each projected episode: the projected total, or
+// the catalog average with the projected episodes included.
+const projectMetric = (metric, values, steps) => {
+  const forecast = forecastSeries(values, steps, { cumulative: metric.cumulative });
+  if (!forecast) {
+    return null;
+  }
+  const clamp = (value) => Math.min(metric.max ?? Infinity, value);
+  if (metric.cumulative) {
+    return forecast.points.map((point) => clamp(point.value));
+  }
+  let total = values.reduce((sum, value) => sum + value, 0);
+  return forecast.points.map((point, index) => {
+    total += clamp(point.value);
+    return total / (values.length + index + 1);
+  });
+};
+
+const goalStatus = ({ current, target, deadline, latestEpisode, projected }) => {
+  if (current >= target) {
+    return 'met';
+  }
+  if (deadline !== null && deadline <= latestEpisode) {
+    return 'missed';
+  }
+  if (projected === null) {
+    return 'unknown';
+  }
+  return projected >= target ? 'on-track' : 'off-track';
+};
+
+// Returns one entry per goal: the definition plus `current`, `progress` (0–1),
+// `deadlineEpisode`, `projected` (the metric at the deadline, or null when it can't
+// be projected), `reachedEpisode` (the first projected episode at or above target),
+// and `status`, a key of GOAL_STATUSES.
+export const evaluateGoals = (episodes, goals) => {
+  if (!episodes.length) {
+    return [];
+  }
+  const latestEpisode = episodes[episodes.length - 1].episode;
+  return goals.map((goal) => {
+    const metric = metricsByKey.get(goal.metric);
+    const values = episodes.map(metric.value);
+    const current = metric.cumulative
+      ? values[values.length - 1]
+      : values.reduce((sum, value) => sum + value, 0) / values.length;
+    const deadline = deadlineEpisode(goal.deadline, episodes);
+    const steps = deadline === null ? 0 : deadline - latestEpisode;
+    const path = steps > 0 && steps <= MAX_GOAL_HORIZON ? projectMetric(metric, values, steps) : null;
+    const projected = path ? path[path.length - 1] : null;
+    const reachedStep = path ? path.findIndex((value) => value >= goal.target) : -1;
+    return {
+      ...goal,
+      label: metric.label,
+      chart: metric.chart,
+      current,
+      progress: Math.min(1, Math.max(0, current / goal.target)),
+      deadlineEpisode: deadline,
+      projected,
+      reachedEpisode: reachedStep === -1 ? null : latestEpisode + reachedStep + 1,
+      status: goalStatus({ current, target: goal.target, deadline, latestEpisode, projected }),
+    };
+  });
+};
+
+export const goalsFor = (goalProgress, chart) => goalProgress.filter((goal) => goal.chart === chart);
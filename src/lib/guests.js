@@ -0,0 +1,83 @@
+// Per-guest performance. The `guest` column often names several people
+// ("Nadia Chen and Haruto Silva"), so it is split into individual guests and each
+// episode counts toward every guest on it.
+
+export const GUEST_METRICS = [
+  { key: 'downloads', label: 'Avg downloads' },
+  { key: 'completionRate', label: 'Avg completion' },
+  { key: 'subscribersGained', label: 'Avg subs gained' },
+  { key: 'socialMediaShares', label: 'Avg shares' },
+];
+
+// Commas, semicolons, ampersands, plus signs, slashes, and a standalone "and" or "with".
+const GUEST_SEPARATOR = /\s*(?:[,;&+/]|\band\b|\bwith\b)\s*/i;
+
+// "Nadia Chen and Haruto Silva" → ["Nadia Chen", "Haruto Silva"]. Names are trimmed,
+// and repeats within one value are dropped.
+export const splitGuests = (value) => {
+  const seen = new Set();
+  return (value ?? '')
+    .split(GUEST_SEPARATOR)
+    .map((name) => name.trim().replace(/\s+/g, ' '))
+    .filter((name) => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Percent difference from the catalog median; completion rate, already a ratio, is
+// compared in percentage points instead. Null when the median is zero.
+const versusMedian = (key, value, catalogMedian) => {
+  if (key === 'completionRate') {
+    return (value - catalogMedian) * 100;
+  }
+  return catalogMedian === 0 ? null : ((value - catalogMedian) / catalogMedian) * 100;
+};
+
+// One entry per guest, most appearances first (ties by average downloads):
+// { name, episodes, appearances, averages: { [metric]: value }, versusMedian: { [metric]: value } }.
+// Guests are matched case-insensitively; the first spelling seen is kept.
+export const buildGuestLeaderboard = (episodes) => {
+  const medians = Object.fromEntries(
+    GUEST_METRICS.map(({ key }) => [key, episodes.length ? median(episodes.map((d) => d[key])) : 0]),
+  );
+  const byGuest = new Map();
+  episodes.forEach((episode) => {
+    episode.guests.forEach((name) => {
+      const key = name.toLowerCase();
+      if (!byGuest.has(key)) {
+        byGuest.set(key, { name, episodes: [] });
+      }
+      byGuest.get(key).episodes.push(episode);
+    });
+  });
+
+  return [...byGuest.values()]
+    .map(({ name, episodes: appearances }) => {
+      const averages = Object.fromEntries(
+        GUEST_METRICS.map(({ key }) => [key, average(appearances.map((d) => d[key]))]),
+      );
+      return {
+        name,
+        episodes: appearances.map((d) => d.episode),
+        appearances: appearances.length,
+        averages,
+        versusMedian: Object.fromEntries(
+          GUEST_METRICS.map(({ key }) => [key, versusMedian(key, averages[key], medians[key])]),
+        ),
+      };
+    })
+    .sort((a, b) => b.appearances - a.appearances || b.averages.downloads - a.averages.downloads);
+};
@@ -0,0 +1,4 @@
+// Unique ids for saved datasets, goals, and alert rules; the fallback covers browsers
+// without crypto.randomUUID (it needs a secure context).
+export const createId = () =>
+  globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
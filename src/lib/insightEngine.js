@@ -0,0 +1,55 @@
+// Rule-based insights. A rule is { id, chart, evaluate(context) }: `chart` names the
+// chart card its findings belong on (null for findings that only appear under Key
+// findings), and `evaluate` receives the analysis ({ episodes, summary, anomalies,
+// forecast, guests, topics, drivers, durationBuckets, retention, goalProgress,
+// alerts }) and returns a finding, an array of findings, or null. A finding is
+// { message, severity, score }, with severity one of INSIGHT_SEVERITIES and score
+// from 0 (trivia) to 1 (act on this).
+
+// Listed in ranking order for findings with equal scores.
+export const INSIGHT_SEVERITIES = ['warning', 'positive', 'info'];
+
+export const KEY_FINDINGS_LIMIT = 5;
+
+// Findings scoring below this never make Key findings, however few there are.
+const KEY_FINDING_MIN_SCORE = 0.2;
+
+const clampScore = (score) => (Number.isFinite(score) ? Math.min(1, Math.max(0, score)) : 0);
+
+const normalize = (rule, finding, index) =>
+  typeof finding?.message === 'string' && finding.message
+    ? {
+        id: index === 0 ? rule.id : `${rule.id}-${index}`,
+        rule: rule.id,
+        chart: finding.chart ?? rule.chart ?? null,
+        message: finding.message,
+        severity: INSIGHT_SEVERITIES.includes(finding.severity) ? finding.severity : 'info',
+        score: clampScore(finding.score),
+      }
+    : null;
+
+// Runs every rule and returns their findings, best first. A rule that throws is
+// skipped (and logged) so one broken custom rule can't take the dashboard down.
+// A finding may set its own `chart` to override the rule's.
+export const runInsightRules = (rules, context) =>
+  rules
+    .flatMap((rule) => {
+      try {
+        const result = rule.evaluate(context);
+        return (Array.isArray(result) ? result : [result])
+          .map((finding, index) => normalize(rule, finding, index))
+          .filter(Boolean);
+      } catch (err) {
+        console.warn(`Insight rule "${rule.id}" failed:`, err);
+        return [];
+      }
+    })
+    .sort(
+      (a, b) =>
+        b.score - a.score || INSIGHT_SEVERITIES.indexOf(a.severity) - INSIGHT_SEVERITIES.indexOf(b.severity),
+    );
+
+export const insightsFor = (insights, chart) => insights.filter((insight) => insight.chart === chart);
+
+export const keyFindings = (insights, limit = KEY_FINDINGS_LIMIT) =>
+  insights.filter((insight) => insight.score >= KEY_FINDING_MIN_SCORE).slice(0, limit);
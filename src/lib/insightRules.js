@@ -0,0 +1,376 @@
+// Built-in insight rules (see insightEngine.js for the rule contract). Charts are
+// keyed as in App: downloads, completion, listenerMix, subscriberGrowth, sharesToSubs,
+// duration, durationBuckets, retention, drivers. Scores are scaled so that a change
+// worth acting on lands near 1.
+
+import { formatCoefficient, formatPValue } from './correlation.js';
+import { DRIVER_OUTCOME } from './regression.js';
+import { GOAL_METRICS, formatDeadline } from './goals.js';
+import { MIN_BUCKET_EPISODES } from './durationBuckets.js';
+
+// Anomalies in this many of the latest episodes are worth calling out.
+const RECENT_EPISODES = 5;
+
+const ANOMALY_CHARTS = {
+  downloads: 'downloads',
+  completionRate: 'completion',
+  subscribersGained: 'subscriberGrowth',
+  socialMediaShares: 'sharesToSubs',
+};
+
+// Topics and guests need a few episodes before their averages mean anything.
+const MIN_TOPIC_EPISODES = 3;
+const MIN_GUEST_APPEARANCES = 2;
+
+const formatPercent = (value, digits = 1) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}%`;
+
+// Percentage-point changes, labelled "pts" as in App and the CLI report.
+const formatPoints = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)} pts`;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const round = (value) => Math.round(value).toLocaleString();
+
+const goalFormats = Object.fromEntries(GOAL_METRICS.map((metric) => [metric.key, metric.format]));
+
+// Downloads of `members` against the rolling average at each of them, in percent, so
+// episodes from the show's early, smaller days aren't read as weak ones. Null when
+// there is no baseline.
+const liftOverRolling = (members) => {
+  const baseline = members.reduce((sum, d) => sum + d.downloadsRolling, 0);
+  const downloads = members.reduce((sum, d) => sum + d.downloads, 0);
+  return baseline > 0 ? (downloads / baseline - 1) * 100 : null;
+};
+
+const formatBeta = (value) => `${value < 0 ? '−' : '+'}${Math.abs(value).toFixed(2)}`;
+
+// The message for a comparison whose period A or B is empty, or null.
+const emptyPeriodMessage = ({ labels, episodeCounts }) => {
+  const emptyPeriod = ['a', 'b'].find((period) => !episodeCounts[period]);
+  return emptyPeriod ? `Period ${emptyPeriod.toUpperCase()} (${labels[emptyPeriod]}) has no episodes to compare.` : null;
+};
+
+// Period-over-period rules share everything but the figure and wording. `scale` is
+// the change that earns a full score.
+const periodChangeRule = ({ id, chart, value, scale, severity, message }) => ({
+  id,
+  chart,
+  evaluate: ({ summary }) => {
+    const empty = emptyPeriodMessage(summary.comparison);
+    if (empty) {
+      return { message: empty, severity: 'info', score: 0.05 };
+    }
+    const change = value(summary);
+    return {
+      message: message(change, summary.comparison.labels),
+      severity: severity(change),
+      score: Math.abs(change) / scale,
+    };
+  },
+});
+
+// "ρ = 0.42, 95% CI 0.24 to 0.57, p < 0.001, n = 104" for the headline (Spearman) figures.
+const correlationEvidence = ({ n, spearman }) =>
+  [
+    `ρ = ${formatCoefficient(spearman.coefficient)}`,
+    spearman.interval ? `95% CI ${spearman.interval.map(formatCoefficient).join(' to ')}` : null,
+    spearman.pValue === null ? null : formatPValue(spearman.pValue),
+    `n = ${n}`,
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+// Wording scales with the measured strength; a link that is negligible or not
+// significant is reported as such rather than as a trend, and scores low.
+const correlationRule = ({ id, chart, key, subject, positive, negative, negativeSeverity }) => ({
+  id,
+  chart,
+  evaluate: ({ summary }) => {
+    const details = summary.correlations[key];
+    const evidence = correlationEvidence(details);
+    if (details.strength === 'negligible' || !details.significant) {
+      return { message: `No reliable link between ${subject} yet (${evidence}).`, severity: 'info', score: 0.1 };
+    }
+    const isPositive = details.direction === 'positive';
+    return {
+      message: `${capitalize((isPositive ? positive : negative)(details.strength))} (${evidence}).`,
+      severity: isPositive ? 'positive' : negativeSeverity,
+      score: Math.abs(details.spearman.coefficient),
+    };
+  },
+});
+
+export const INSIGHT_RULES = [
+  periodChangeRule({
+    id: 'downloads-period-change',
+    chart: 'downloads',
+    value: (summary) => summary.downloadsGrowthPercent,
+    scale: 50,
+    severity: (change) => (change < 0 ? 'warning' : 'positive'),
+    message: (change, labels) => `${capitalize(labels.b)} averaged ${formatPercent(change)} downloads versus ${labels.a}.`,
+  }),
+  periodChangeRule({
+    id: 'completion-period-change',
+    chart: 'completion',
+    value: (summary) => summary.completionRateChange,
+    scale: 5,
+    severity: (change) => (change < 0 ? 'warning' : 'positive'),
+    message: (change, labels) => `Completion rate moved ${formatPoints(change)} from ${labels.a} to ${labels.b}.`,
+  }),
+  periodChangeRule({
+    id: 'listener-mix-change',
+    chart: 'listenerMix',
+    value: (summary) => summary.newListenerShareChange,
+    scale: 15,
+    severity: () => 'info',
+    message: (change, labels) =>
+      `New listeners' share of the audience moved ${formatPoints(change)} from ${labels.a} to ${labels.b}.`,
+  }),
+  {
+    id: 'listener-retention',
+    chart: 'retention',
+    // The fitted rates, plus a finding when recent returning listeners stray from the
+    // replayed model by a fifth or more.
+    evaluate: ({ retention }) => {
+      if (!retention) {
+        return null;
+      }
+      const { firstReturnRate, churnRate, halfLife, series } = retention;
+      const findings = [
+        {
+          message: `About ${(firstReturnRate * 100).toFixed(1)}% of new listeners come back for the next release, and the returning base loses ${(churnRate * 100).toFixed(0)}% per release${halfLife === null ? '' : ` (half-life ${halfLife.toFixed(1)} releases)`}.`,
+          severity: churnRate > 0.5 ? 'warning' : 'info',
+          score: 0.25,
+        },
+      ];
+      const recent = series.slice(-RECENT_EPISODES);
+      const modeled = recent.reduce((sum, point) => sum + point.modeled, 0);
+      const gap = modeled > 0 ? recent.reduce((sum, point) => sum + point.actual, 0) / modeled - 1 : 0;
+      if (Math.abs(gap) >= 0.2) {
+        findings.push({
+          message: `Returning listeners over the last ${recent.length} episodes are ${Math.abs(gap * 100).toFixed(0)}% ${gap > 0 ? 'above' : 'below'} what the retention model expects from earlier new listeners.`,
+          severity: gap > 0 ? 'positive' : 'warning',
+          score: Math.abs(gap),
+        });
+      }
+      return findings;
+    },
+  },
+  {
+    id: 'subscriber-total',
+    chart: 'subscriberGrowth',
+    evaluate: ({ summary }) => ({
+      message: `Total subscribers climbed to ${summary.totalSubscribers.toLocaleString()} with the latest release.`,
+      severity: 'info',
+      score: 0.15,
+    }),
+  },
+  {
+    id: 'subscriber-forecast',
+    chart: 'subscriberGrowth',
+    evaluate: ({ forecast }) => {
+      const final = forecast?.subscribers?.points.at(-1);
+      return final
+        ? {
+            message: `Projected subscribers by episode ${final.episode}: ${round(final.value)} (95% range ${round(final.lower)}–${round(final.upper)}).`,
+            severity: 'info',
+            score: 0.3,
+          }
+        : null;
+    },
+  },
+  {
+    id: 'downloads-forecast',
+    chart: 'downloads',
+    evaluate: ({ forecast, episodes }) => {
+      const final = forecast?.downloads?.points.at(-1);
+      if (!final) {
+        return null;
+      }
+      const current = episodes[episodes.length - 1].downloadsRolling;
+      // Compared as displayed, so a projection that rounds to the trend reads as level.
+      const direction = Math.sign(Math.round(final.value) - Math.round(current));
+      const relation = ['below', 'in line with', 'above'][direction + 1];
+      return {
+        message: `Downloads are projected at ${round(final.value)} for episode ${final.episode} (95% range ${round(final.lower)}–${round(final.upper)}), ${relation} the current trend of ${round(current)}.`,
+        severity: direction < 0 ? 'warning' : 'info',
+        score: [0.35, 0.1, 0.2][direction + 1],
+      };
+    },
+  },
+  correlationRule({
+    id: 'shares-subscribers-correlation',
+    chart: 'sharesToSubs',
+    key: 'sharesSubscribers',
+    subject: 'social shares and subscriber gains',
+    positive: (strength) => `episodes that get shared more show a ${strength} tendency to win more subscribers`,
+    negative: (strength) => `higher social sharing shows a ${strength} tendency to coincide with fewer subscribers`,
+    negativeSeverity: 'warning',
+  }),
+  correlationRule({
+    id: 'duration-completion-correlation',
+    chart: 'duration',
+    key: 'durationCompletion',
+    subject: 'episode length and completion rate',
+    positive: (strength) => `longer episodes show a ${strength} tendency toward higher completion rates`,
+    negative: (strength) =>
+      `longer episodes show a ${strength} tendency toward lower completion; consider testing shorter cuts`,
+    negativeSeverity: 'warning',
+  }),
+  {
+    id: 'duration-sweet-spot',
+    chart: 'durationBuckets',
+    // Compares the best bucket's median completion with the runner-up's.
+    evaluate: ({ durationBuckets }) => {
+      const ranked = (durationBuckets?.buckets ?? [])
+        .filter((bucket) => bucket.count >= MIN_BUCKET_EPISODES)
+        .sort((a, b) => b.metrics.completionRate.median - a.metrics.completionRate.median);
+      if (ranked.length < 2) {
+        return {
+          message: 'Too few runtime buckets have episodes to compare; adjust the bucket edges to split the catalog.',
+          severity: 'info',
+          score: 0,
+        };
+      }
+      const [best, next] = ranked;
+      const lead = (best.metrics.completionRate.median - next.metrics.completionRate.median) * 100;
+      return {
+        message: `${best.label} minute episodes have the highest median completion, ${(best.metrics.completionRate.median * 100).toFixed(1)}% (${best.count} episodes), ${lead.toFixed(1)} points ahead of ${next.label} minutes.`,
+        severity: 'info',
+        score: lead / 10,
+      };
+    },
+  },
+  {
+    id: 'subscriber-drivers',
+    chart: 'drivers',
+    // Names the largest standardized effect when its interval excludes zero.
+    evaluate: ({ drivers }) => {
+      if (!drivers) {
+        return {
+          message: 'Not enough episodes (or too little variation) to fit the driver model yet.',
+          severity: 'info',
+          score: 0,
+        };
+      }
+      const outcome = DRIVER_OUTCOME.label.toLowerCase();
+      const fit = `R² = ${drivers.rSquared.toFixed(2)}, n = ${drivers.n}`;
+      const top = drivers.coefficients.find((coefficient) => coefficient.lower > 0 || coefficient.upper < 0);
+      if (!top) {
+        return {
+          message: `None of the metrics has a clearly measurable effect on ${outcome} once the others are held fixed (${fit}).`,
+          severity: 'info',
+          score: 0.1,
+        };
+      }
+      return {
+        message: `${top.label} matters most: one standard deviation more goes with ${formatBeta(top.estimate)} SD ${outcome} (95% CI ${formatBeta(top.lower)} to ${formatBeta(top.upper)}), holding the others fixed. Together the metrics explain ${(drivers.rSquared * 100).toFixed(0)}% of the variation (${fit}).`,
+        severity: 'info',
+        score: Math.abs(top.estimate) * 0.6,
+      };
+    },
+  },
+  {
+    id: 'goal-status',
+    chart: null,
+    // Goals the trend misses are the ones to act on; met goals are worth a mention.
+    evaluate: ({ goalProgress }) =>
+      goalProgress.map((goal) => {
+        const format = goalFormats[goal.metric];
+        const target = `${goal.label} goal of ${format(goal.target)} by ${formatDeadline(goal.deadline)}`;
+        switch (goal.status) {
+          case 'met':
+            return {
+              chart: goal.chart,
+              message: `${target} is met (${format(goal.current)}).`,
+              severity: 'positive',
+              score: 0.3,
+            };
+          case 'missed':
+            return {
+              chart: goal.chart,
+              message: `${target} was missed; it stands at ${format(goal.current)}.`,
+              severity: 'warning',
+              score: 0.4,
+            };
+          case 'off-track':
+            return {
+              chart: goal.chart,
+              message: `${target} is projected to fall short at ${format(goal.projected)} on the current trend.`,
+              severity: 'warning',
+              score: 0.5 + (1 - goal.projected / goal.target),
+            };
+          case 'on-track':
+            return {
+              chart: goal.chart,
+              message: `${target} is on track; the current trend reaches it by episode ${goal.reachedEpisode}.`,
+              severity: 'positive',
+              score: 0.25,
+            };
+          default:
+            return null;
+        }
+      }),
+  },
+  {
+    id: 'recent-anomalies',
+    chart: null,
+    evaluate: ({ anomalies, episodes }) => {
+      const recent = new Set(episodes.slice(-RECENT_EPISODES).map((d) => d.episode));
+      return anomalies
+        .filter((anomaly) => recent.has(anomaly.episode))
+        .map((anomaly) => ({
+          chart: ANOMALY_CHARTS[anomaly.metric],
+          message: `Episode ${anomaly.episode}: ${anomaly.reason}.`,
+          severity: anomaly.direction === 'high' ? 'positive' : 'warning',
+          score: Math.abs(anomaly.score) / 10,
+        }));
+    },
+  },
+  {
+    id: 'topic-downloads',
+    chart: null,
+    // The best and worst topics by downloads against the episodes around them.
+    evaluate: ({ topics, episodes }) => {
+      const ranked = (topics?.topics ?? [])
+        .filter((topic) => topic.count >= MIN_TOPIC_EPISODES)
+        .map((topic) => ({
+          ...topic,
+          lift: liftOverRolling(episodes.filter((d) => d.topics.includes(topic.name))),
+        }))
+        .filter((topic) => topic.lift !== null)
+        .sort((a, b) => b.lift - a.lift);
+      if (ranked.length < 2) {
+        return null;
+      }
+      const describe = (topic) =>
+        `Episodes about ${topic.name} average ${formatPercent(topic.lift, 0)} downloads compared with episodes released around them (${topic.count} episodes).`;
+      const best = ranked[0];
+      const worst = ranked[ranked.length - 1];
+      return [
+        best.lift > 0 ? { message: describe(best), severity: 'positive', score: best.lift / 150 } : null,
+        worst.lift < 0 ? { message: describe(worst), severity: 'warning', score: -worst.lift / 150 } : null,
+      ];
+    },
+  },
+  {
+    id: 'top-guest',
+    chart: null,
+    // The guest whose episodes beat the episodes around them by the most.
+    evaluate: ({ guests, episodes }) => {
+      const byNumber = new Map(episodes.map((d) => [d.episode, d]));
+      const best = guests
+        .filter((guest) => guest.appearances >= MIN_GUEST_APPEARANCES)
+        .map((guest) => ({ ...guest, lift: liftOverRolling(guest.episodes.map((number) => byNumber.get(number))) }))
+        .filter((guest) => guest.lift !== null)
+        .sort((a, b) => b.lift - a.lift)[0];
+      return best && best.lift > 0
+        ? {
+            message: `${best.name}'s ${best.appearances} episodes averaged ${formatPercent(best.lift, 0)} downloads compared with episodes released around them.`,
+            severity: 'positive',
+            score: best.lift / 150,
+          }
+        : null;
+    },
+  },
+];
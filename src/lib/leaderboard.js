@@ -0,0 +1,73 @@
+// Episode leaderboard helpers: the numeric columns, percentile ranks within the
+// catalog, and downsampled series for the column sparklines.
+
+const formatCount = (value) => Math.round(value).toLocaleString();
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+const formatRatio = (value) => value.toFixed(1);
+
+// Every raw and derived per-episode figure. Running totals and smoothed trends are
+// included for completeness, though they rank position in the catalog more than
+// the episode itself.
+export const LEADERBOARD_METRICS = [
+  { key: 'downloads', label: 'Downloads', format: formatCount },
+  { key: 'completionNumbers', label: 'Completions', format: formatCount },
+  { key: 'completionRate', label: 'Completion', format: formatPercent },
+  { key: 'durationMinutes', label: 'Minutes', format: formatRatio },
+  { key: 'newListeners', label: 'New listeners', format: formatCount },
+  { key: 'returningListeners', label: 'Returning', format: formatCount },
+  { key: 'listenersTotal', label: 'Listeners', format: formatCount },
+  { key: 'newListenerRatio', label: 'New share', format: formatPercent },
+  { key: 'subscribersGained', label: 'Subs gained', format: formatCount },
+  { key: 'socialMediaShares', label: 'Shares', format: formatCount },
+  { key: 'subscribersPerThousandDownloads', label: 'Subs / 1k DL', format: formatRatio },
+  { key: 'sharesPerThousandDownloads', label: 'Shares / 1k DL', format: formatRatio },
+  { key: 'downloadsRolling', label: 'Downloads trend', format: formatCount },
+  { key: 'completionRolling', label: 'Completion trend', format: formatPercent },
+  { key: 'cumulativeDownloads', label: 'Total downloads', format: formatCount },
+  { key: 'cumulativeSubscribers', label: 'Total subs', format: formatCount },
+];
+
+// Points per sparkline; longer catalogs are averaged into this many buckets.
+export const SPARKLINE_POINTS = 60;
+
+// Percentile rank (0–100) of each episode's value for every metric: the share of the
+// other episodes it beats, counting ties as half. Keyed by metric, then by episode.
+export const percentileRanks = (episodes, metrics = LEADERBOARD_METRICS) => {
+  const ranks = new Map();
+  const others = episodes.length - 1;
+  metrics.forEach((metric) => {
+    const values = Float64Array.from(episodes, (d) => d[metric.key]);
+    const order = Uint32Array.from(episodes, (d, index) => index).sort((a, b) => values[a] - values[b]);
+    const byEpisode = new Map();
+    let start = 0;
+    while (start < order.length) {
+      const value = values[order[start]];
+      let end = start;
+      while (end + 1 < order.length && values[order[end + 1]] === value) {
+        end += 1;
+      }
+      // Episodes in a tie beat everything before the tie and half of each other.
+      const rank = others > 0 ? ((start + (end - start) / 2) / others) * 100 : 100;
+      for (let i = start; i <= end; i += 1) {
+        byEpisode.set(episodes[order[i]].episode, rank);
+      }
+      start = end + 1;
+    }
+    ranks.set(metric.key, byEpisode);
+  });
+  return ranks;
+};
+
+// The metric in episode order, averaged into at most `points` buckets.
+export const sparklineSeries = (episodes, key, points = SPARKLINE_POINTS) => {
+  const buckets = Math.min(points, episodes.length);
+  return Array.from({ length: buckets }, (_, bucket) => {
+    const from = Math.floor((bucket * episodes.length) / buckets);
+    const to = Math.floor(((bucket + 1) * episodes.length) / buckets);
+    let total = 0;
+    for (let i = from; i < to; i += 1) {
+      total += episodes[i][key];
+    }
+    return total / (to - from);
+  });
+};
@@ -0,0 +1,287 @@
+import { csvParse } from 'd3-dsv';
+import { timeParse } from 'd3-time-format';
+import { DATASET_FIELDS } from './columnMapping.js';
+
+export const REQUIRED_COLUMNS = DATASET_FIELDS.filter((field) => field.required).map((field) => field.key);
+
+// Fields an RSS feed can supply in place of CSV columns.
+export const FEED_FIELDS = ['title', 'description', 'duration', 'publish_date'];
+
+const COUNT_COLUMNS = [
+  ['downloads', 'downloads'],
+  ['completion_numbers', 'completionNumbers'],
+  ['new_listeners', 'newListeners'],
+  ['returning_listeners', 'returningListeners'],
+  ['subscribers_gained', 'subscribersGained'],
+  ['social_media_shares', 'socialMediaShares'],
+];
+
+export class DatasetValidationError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'DatasetValidationError';
+    this.issues = issues;
+  }
+}
+
+// Thrown per row inside parseRow; parseEpisodes turns it into a "rejected" issue.
+class RowRejection extends Error {
+  constructor(column, reason) {
+    super(reason);
+    this.column = column;
+  }
+}
+
+const parseCount = (value, column, coerce) => {
+  const trimmed = (value ?? '').trim();
+  if (trimmed === '') {
+    throw new RowRejection(column, 'Value is empty');
+  }
+  const cleaned = trimmed.replace(/[,_\s]/g, '');
+  const number = Number(cleaned);
+  if (!Number.isFinite(number)) {
+    throw new RowRejection(column, `“${trimmed}” is not a number`);
+  }
+  if (number < 0) {
+    throw new RowRejection(column, `${trimmed} is negative`);
+  }
+  if (cleaned !== trimmed) {
+    coerce(column, `Read “${trimmed}” as ${number}`);
+  }
+  if (!Number.isInteger(number)) {
+    const rounded = Math.round(number);
+    coerce(column, `Rounded ${number} to ${rounded}`);
+    return rounded;
+  }
+  return number;
+};
+
+const DURATION_PATTERN = /^(\d+):([0-5]?\d)(?::([0-5]?\d))?$/;
+
+const parseNumericDuration = (trimmed, format) => {
+  const number = Number(trimmed);
+  if (trimmed === '' || !Number.isFinite(number)) {
+    throw new RowRejection('duration', `“${trimmed}” is not a number of ${format}`);
+  }
+  return format === 'seconds' ? number / 60 : number;
+};
+
+// Returns the duration in decimal minutes. `format` is one of the DURATION_FORMATS keys.
+const parseDuration = (value, format, coerce) => {
+  const trimmed = (value ?? '').trim();
+  if (format === 'seconds' || format === 'minutes') {
+    return parseNumericDuration(trimmed, format);
+  }
+
+  const match = DURATION_PATTERN.exec(trimmed);
+  if (!match) {
+    const expected = format === 'mmss' ? 'MM:SS' : 'HH:MM:SS';
+    throw new RowRejection('duration', `“${trimmed}” is not a ${expected} duration`);
+  }
+  const [, first, second, third] = match;
+  if (third === undefined) {
+    // Two-part values such as "45:10" are read as minutes and seconds.
+    if (format !== 'mmss') {
+      coerce('duration', `Read “${trimmed}” as ${Number(first)} min ${Number(second)} s`);
+    }
+    return Number(first) + Number(second) / 60;
+  }
+  return Number(first) * 60 + Number(second) + Number(third) / 60;
+};
+
+// Plain YYYY-MM-DD dates are read in local time; `new Date()` would treat them as UTC
+// midnight and show the previous day west of Greenwich.
+const parseIsoDay = timeParse('%Y-%m-%d');
+
+const parsePublishDate = (value, coerce) => {
+  const trimmed = (value ?? '').trim();
+  if (!trimmed) {
+    return null;
+  }
+  const date = parseIsoDay(trimmed) ?? new Date(trimmed);
+  if (Number.isNaN(date.getTime())) {
+    coerce('publish_date', `Couldn’t read “${trimmed}” as a date; left blank`);
+    return null;
+  }
+  return date;
+};
+
+// Per-row values computed from the raw counts; rerun after a row is edited.
+export const withDerivedFields = (row) => ({
+  ...row,
+  completionRate: row.downloads === 0 ? 0 : row.completionNumbers / row.downloads,
+  listenersTotal: row.newListeners + row.returningListeners,
+});
+
+// Reads a duration typed by hand (HH:MM:SS or MM:SS); returns minutes, or null if unreadable.
+export const parseDurationInput = (value) => {
+  try {
+    return parseDuration(value, 'clock', () => {});
+  } catch {
+    return null;
+  }
+};
+
+const parseRow = (row, durationFormat, coerce, metadata) => {
+  const episode = parseCount(row.episode, 'episode', coerce);
+  const feedItem = metadata?.get(episode);
+  if (!feedItem?.durationMinutes && row.duration === undefined) {
+    throw new RowRejection('duration', `Episode ${episode} has no duration in the file or the feed`);
+  }
+  const durationMinutes = feedItem?.durationMinutes ?? parseDuration(row.duration, durationFormat, coerce);
+  if (durationMinutes <= 0) {
+    throw new RowRejection('duration', 'Duration must be longer than zero');
+  }
+
+  const counts = {};
+  COUNT_COLUMNS.forEach(([column, key]) => {
+    counts[key] = parseCount(row[column], column, coerce);
+  });
+
+  if (counts.completionNumbers > counts.downloads) {
+    coerce(
+      'completion_numbers',
+      `${counts.completionNumbers} completions exceed ${counts.downloads} downloads; capped at downloads`,
+    );
+    counts.completionNumbers = counts.downloads;
+  }
+
+  const title = feedItem?.title || (row.title ?? '').trim();
+  if (!title) {
+    coerce('title', `Missing title; using “Episode ${episode}”`);
+  }
+
+  return withDerivedFields({
+    episode,
+    title: title || `Episode ${episode}`,
+    description: feedItem?.description || (row.description ?? ''),
+    guest: row.guest ?? '',
+    publishDate: feedItem?.publishDate ?? parsePublishDate(row.publish_date, coerce),
+    durationMinutes,
+    ...counts,
+  });
+};
+
+const PROGRESS_INTERVAL = 1000;
+
+// The line each data record of `text` starts on, reading it the way csvParse does: a
+// field that opens with a quote runs to the closing quote, newlines included, and
+// \r\n, \n or \r ends a line. Rows with multi-line fields make the record index a
+// poor guide to where a record is in the file.
+const recordStartLines = (text) => {
+  const starts = [];
+  let line = 1;
+  let fieldStart = true;
+  let i = 0;
+  const endOfLine = () => {
+    if (text[i] === '\r' && text[i + 1] === '\n') i += 1;
+    i += 1;
+    line += 1;
+  };
+  while (i < text.length) {
+    const char = text[i];
+    if (fieldStart && char === '"') {
+      i += 1;
+      while (i < text.length) {
+        if (text[i] === '"') {
+          // A doubled quote is an escaped one; a single quote closes the field.
+          if (text[i + 1] !== '"') {
+            i += 1;
+            break;
+          }
+          i += 2;
+        } else if (text[i] === '\n' || text[i] === '\r') {
+          endOfLine();
+        } else {
+          i += 1;
+        }
+      }
+      fieldStart = false;
+    } else if (char === ',') {
+      i += 1;
+      fieldStart = true;
+    } else if (char === '\n' || char === '\r') {
+      endOfLine();
+      starts.push(line);
+      fieldStart = true;
+    } else {
+      i += 1;
+      fieldStart = false;
+    }
+  }
+  return starts;
+};
+
+// Parses CSV text into episode rows sorted by episode number. Rows that cannot be
+// used are dropped and reported as "rejected"; rows that were repaired are kept
+// and reported as "coerced". Line numbers count the header as line 1 and point at the
+// line a record starts on.
+//
+// `mapping` maps dashboard fields to the file's own headers (see columnMapping.js);
+// fields left out of the mapping are read from the header of the same name.
+// `metadata` is the episode Map from parseRssFeed; when present, its titles,
+// descriptions and durations take precedence and those columns become optional.
+// `onProgress`, if given, is called with the fraction of rows parsed so far.
+export const parseEpisodes = (text, { mapping = {}, durationFormat = 'clock', metadata, onProgress } = {}) => {
+  const records = csvParse(text);
+  const columnFor = (field) => mapping[field] ?? field;
+  const coveredFields = metadata ? FEED_FIELDS : [];
+  const missing = REQUIRED_COLUMNS.filter(
+    (field) => !coveredFields.includes(field) && !records.columns.includes(columnFor(field)),
+  );
+  if (missing.length) {
+    throw new DatasetValidationError(
+      `The file is missing ${missing.length === 1 ? 'a required column' : 'required columns'}.`,
+      missing.map((field) => ({
+        line: 1,
+        column: columnFor(field),
+        severity: 'rejected',
+        reason: 'Required column is missing from the header',
+      })),
+    );
+  }
+
+  const issues = [];
+  const rows = [];
+  const seenEpisodes = new Map();
+
+  const lines = recordStartLines(text);
+
+  records.forEach((record, index) => {
+    const line = lines[index];
+    const rowIssues = [];
+    const coerce = (field, reason) =>
+      rowIssues.push({ line, column: columnFor(field), severity: 'coerced', reason });
+    const mapped = Object.fromEntries(DATASET_FIELDS.map((field) => [field.key, record[columnFor(field.key)]]));
+
+    try {
+      const row = parseRow(mapped, durationFormat, coerce, metadata);
+      if (seenEpisodes.has(row.episode)) {
+        throw new RowRejection(
+          'episode',
+          `Episode ${row.episode} already appears on line ${seenEpisodes.get(row.episode)}`,
+        );
+      }
+      seenEpisodes.set(row.episode, line);
+      rows.push(row);
+      issues.push(...rowIssues);
+    } catch (err) {
+      if (!(err instanceof RowRejection)) {
+        throw err;
+      }
+      issues.push({ line, column: columnFor(err.column), severity: 'rejected', reason: err.message });
+    }
+    if (onProgress && (index + 1) % PROGRESS_INTERVAL === 0) {
+      onProgress((index + 1) / records.length);
+    }
+  });
+
+  if (!rows.length) {
+    throw new DatasetValidationError('None of the rows could be used.', issues);
+  }
+
+  return {
+    rows: rows.sort((a, b) => a.episode - b.episode),
+    issues,
+  };
+};
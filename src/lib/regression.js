@@ -0,0 +1,111 @@
+// "What drives subscribers?": an ordinary least squares fit of subscribers gained on
+// several episode metrics at once. Every variable is standardized first, so each
+// coefficient reads as "standard deviations of subscribers per standard deviation of
+// this metric, holding the others fixed" and the coefficients can be compared.
+
+import { tCritical, tTwoSidedPValue } from './distributions.js';
+
+export const DRIVER_OUTCOME = { key: 'subscribersGained', label: 'Subscribers gained' };
+
+export const DRIVER_PREDICTORS = [
+  { key: 'durationMinutes', label: 'Duration' },
+  { key: 'completionRate', label: 'Completion rate' },
+  { key: 'socialMediaShares', label: 'Social shares' },
+  { key: 'newListenerRatio', label: 'New-listener ratio' },
+  { key: 'downloads', label: 'Downloads' },
+];
+
+// Episodes needed beyond one per coefficient before the fit is worth showing.
+const MIN_RESIDUAL_DF = 5;
+
+const standardize = (values) => {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1));
+  return sd === 0 ? null : values.map((v) => (v - mean) / sd);
+};
+
+// Inverts a symmetric positive-definite matrix by Gauss–Jordan elimination with
+// partial pivoting. Returns null when it is (numerically) singular. Also used by the
+// scatter-plot curve fits.
+export const invert = (matrix) => {
+  const size = matrix.length;
+  const rows = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  for (let col = 0; col < size; col += 1) {
+    let pivot = col;
+    for (let r = col + 1; r < size; r += 1) {
+      if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-10) {
+      return null;
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    const scale = rows[col][col];
+    rows[col] = rows[col].map((v) => v / scale);
+    for (let r = 0; r < size; r += 1) {
+      if (r !== col && rows[r][col] !== 0) {
+        const factor = rows[r][col];
+        rows[r] = rows[r].map((v, j) => v - factor * rows[col][j]);
+      }
+    }
+  }
+  return rows.map((row) => row.slice(size));
+};
+
+// Returns null when there are too few episodes or the predictors are collinear.
+// Otherwise { n, rSquared, adjustedRSquared, excluded, coefficients }, where
+// coefficients are { key, label, estimate, lower, upper, pValue } with a 95% interval,
+// largest effect first, and `excluded` lists predictors dropped for never varying.
+export const fitDrivers = (episodes, predictors = DRIVER_PREDICTORS) => {
+  const y = standardize(episodes.map((d) => d[DRIVER_OUTCOME.key]));
+  if (!y) {
+    return null;
+  }
+  const columns = predictors.map((predictor) => ({
+    ...predictor,
+    values: standardize(episodes.map((d) => d[predictor.key])),
+  }));
+  const used = columns.filter((column) => column.values);
+  const n = episodes.length;
+  const df = n - used.length - 1;
+  if (!used.length || df < MIN_RESIDUAL_DF) {
+    return null;
+  }
+
+  // Standardized variables have mean zero, so the intercept is zero and can be left out.
+  const xtx = used.map((a) => used.map((b) => a.values.reduce((sum, v, i) => sum + v * b.values[i], 0)));
+  const xty = used.map((column) => column.values.reduce((sum, v, i) => sum + v * y[i], 0));
+  const inverse = invert(xtx);
+  if (!inverse) {
+    return null;
+  }
+  const beta = inverse.map((row) => row.reduce((sum, v, j) => sum + v * xty[j], 0));
+
+  const sse = y.reduce((sum, value, i) => {
+    const fitted = used.reduce((acc, column, j) => acc + beta[j] * column.values[i], 0);
+    return sum + (value - fitted) ** 2;
+  }, 0);
+  const sst = n - 1; // y is standardized
+  const variance = sse / df;
+  const critical = tCritical(df);
+
+  return {
+    n,
+    rSquared: 1 - sse / sst,
+    adjustedRSquared: 1 - (sse / df) / (sst / (n - 1)),
+    excluded: columns.filter((column) => !column.values).map(({ key, label }) => ({ key, label })),
+    coefficients: used
+      .map(({ key, label }, j) => {
+        const standardError = Math.sqrt(variance * inverse[j][j]);
+        return {
+          key,
+          label,
+          estimate: beta[j],
+          lower: beta[j] - critical * standardError,
+          upper: beta[j] + critical * standardError,
+          pValue: standardError === 0 ? 0 : tTwoSidedPValue(beta[j] / standardError, df),
+        };
+      })
+      .sort((a, b) => Math.abs(b.estimate) - Math.abs(a.estimate)),
+  };
+};
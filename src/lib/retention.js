@@ -0,0 +1,109 @@
+// Listener retention estimated from per-episode new and returning listener counts.
+// The exports don't follow individual listeners, so retention is modeled:
+//
+//   returning[t] = keep × returning[t − 1] + firstReturn × new[t − 1]
+//
+// A share `firstReturn` of each episode's new listeners comes back for the next
+// release, and from then on a share `keep` of the returning base stays for each
+// further release (churn is 1 − keep per release). Both are fitted by least squares
+// on consecutive episodes and held between 0 and 1. The modeled returning base then
+// replays the model from the first episode using only new-listener counts, so any gap
+// against the actual returning count is what the two rates can't explain.
+
+import { releaseInterval } from './forecast.js';
+
+// Episodes needed before the rates are worth estimating.
+export const MIN_RETENTION_EPISODES = 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// Least squares for y ≈ keep·a + firstReturn·b over the box [0, 1]². The error is a
+// convex quadratic, so the best point is the unconstrained one when it lies in the
+// box and otherwise the best of the four edges.
+const fitRates = (a, b, y) => {
+  const dot = (u, v) => u.reduce((sum, value, i) => sum + value * v[i], 0);
+  const aa = dot(a, a);
+  const bb = dot(b, b);
+  const ab = dot(a, b);
+  const ay = dot(a, y);
+  const by = dot(b, y);
+  const sse = ({ keep, firstReturn }) =>
+    y.reduce((sum, value, i) => sum + (value - keep * a[i] - firstReturn * b[i]) ** 2, 0);
+
+  const determinant = aa * bb - ab * ab;
+  if (determinant > 0) {
+    const keep = (ay * bb - by * ab) / determinant;
+    const firstReturn = (by * aa - ay * ab) / determinant;
+    if (keep >= 0 && keep <= 1 && firstReturn >= 0 && firstReturn <= 1) {
+      return { keep, firstReturn };
+    }
+  }
+  const candidates = [0, 1].flatMap((edge) => [
+    { keep: edge, firstReturn: bb > 0 ? clamp01((by - edge * ab) / bb) : 0 },
+    { keep: aa > 0 ? clamp01((ay - edge * ab) / aa) : 0, firstReturn: edge },
+  ]);
+  return candidates.reduce((best, candidate) => (sse(candidate) < sse(best) ? candidate : best));
+};
+
+// Returns null with too few episodes or no returning listeners to model. Otherwise
+// { firstReturnRate, retentionRate, churnRate, halfLife, periodDays, rSquared, series,
+// cohorts }:
+//   - `halfLife` is how many releases it takes the returning base to halve (null if
+//     it never shrinks or empties at once), and `periodDays` the typical gap between
+//     releases when every episode has a publish date;
+//   - `series` is { episode, publishDate, actual, modeled } per episode, and
+//     `rSquared` how much of the actual returning count the replayed model explains;
+//   - `cohorts` is, per episode, { episode, newListeners, returnNext, stillReturning,
+//     lifetimeReturns }: of that episode's new listeners, how many the model expects
+//     back for the next release and still returning as of the latest one (null for
+//     the latest episode itself), and their expected return visits in all.
+export const estimateRetention = (episodes) => {
+  if (episodes.length < MIN_RETENTION_EPISODES || episodes.every((d) => d.returningListeners === 0)) {
+    return null;
+  }
+  const previous = episodes.slice(0, -1);
+  const { keep, firstReturn } = fitRates(
+    previous.map((d) => d.returningListeners),
+    previous.map((d) => d.newListeners),
+    episodes.slice(1).map((d) => d.returningListeners),
+  );
+
+  let modeled = episodes[0].returningListeners;
+  const series = episodes.map((d, index) => {
+    if (index > 0) {
+      modeled = keep * modeled + firstReturn * episodes[index - 1].newListeners;
+    }
+    return { episode: d.episode, publishDate: d.publishDate ?? null, actual: d.returningListeners, modeled };
+  });
+  const mean = series.reduce((sum, point) => sum + point.actual, 0) / series.length;
+  const sst = series.reduce((sum, point) => sum + (point.actual - mean) ** 2, 0);
+  const sse = series.reduce((sum, point) => sum + (point.actual - point.modeled) ** 2, 0);
+
+  const last = episodes.length - 1;
+  const cohorts = episodes.map((d, index) => {
+    const returnNext = d.newListeners * firstReturn;
+    return {
+      episode: d.episode,
+      newListeners: d.newListeners,
+      returnNext,
+      stillReturning: index < last ? returnNext * keep ** (last - index - 1) : null,
+      lifetimeReturns: keep < 1 ? returnNext / (1 - keep) : null,
+    };
+  });
+
+  const hasDates = episodes.every((d) => d.publishDate);
+  return {
+    firstReturnRate: firstReturn,
+    retentionRate: keep,
+    churnRate: 1 - keep,
+    halfLife: keep > 0 && keep < 1 ? Math.log(0.5) / Math.log(keep) : null,
+    periodDays: hasDates
+      ? Math.round(releaseInterval([...episodes].sort((a, b) => a.publishDate - b.publishDate)) / DAY_MS)
+      : null,
+    rSquared: sst === 0 ? null : 1 - sse / sst,
+    series,
+    cohorts,
+  };
+};
@@ -0,0 +1,86 @@
+// Reads episode metadata from a podcast RSS feed so it can be merged into the
+// metrics CSV by episode number (see the `metadata` option of parseEpisodes).
+
+export const looksLikeFeed = (fileName, contents) =>
+  /\.(rss|xml)$/i.test(fileName) || /^\s*(<\?xml|<rss)/i.test(contents);
+
+const childText = (item, ...names) => {
+  for (const name of names) {
+    const node = Array.from(item.children).find((child) => child.nodeName.toLowerCase() === name);
+    const value = node?.textContent.trim();
+    if (value) {
+      return value;
+    }
+  }
+  return '';
+};
+
+// Descriptions are usually HTML inside CDATA; keep only the readable text.
+const stripHtml = (html) => {
+  if (!html.includes('<')) {
+    return html;
+  }
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return doc.body.textContent.replace(/\s+/g, ' ').trim();
+};
+
+// itunes:duration is either a plain number of seconds or [HH:]MM:SS.
+const parseFeedDuration = (value) => {
+  if (!value) {
+    return null;
+  }
+  const parts = value.split(':').map(Number);
+  if (parts.some((part) => !Number.isFinite(part))) {
+    return null;
+  }
+  const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+  return seconds > 0 ? seconds / 60 : null;
+};
+
+const parsePublishDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+export const parseRssFeed = (xml) => {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error('The feed is not valid XML.');
+  }
+
+  const items = Array.from(doc.getElementsByTagName('item'));
+  if (!items.length) {
+    throw new Error('The feed doesn’t contain any <item> entries.');
+  }
+
+  const episodes = new Map();
+  let skipped = 0;
+
+  items.forEach((item) => {
+    const episode = Number(childText(item, 'itunes:episode'));
+    if (!Number.isInteger(episode) || episode < 0 || episodes.has(episode)) {
+      skipped += 1;
+      return;
+    }
+    episodes.set(episode, {
+      episode,
+      title: childText(item, 'itunes:title', 'title'),
+      description: stripHtml(childText(item, 'description', 'itunes:summary', 'content:encoded')),
+      durationMinutes: parseFeedDuration(childText(item, 'itunes:duration')),
+      publishDate: parsePublishDate(childText(item, 'pubdate')),
+    });
+  });
+
+  if (!episodes.size) {
+    throw new Error('None of the feed items have an <itunes:episode> number to match on.');
+  }
+
+  return {
+    title: childText(doc.getElementsByTagName('channel')[0] ?? doc.documentElement, 'title'),
+    episodes,
+    skipped,
+  };
+};
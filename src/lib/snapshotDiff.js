@@ -0,0 +1,62 @@
+// Compares two parsed datasets (rows from parseEpisodes) episode by episode.
+
+export const DIFF_METRICS = [
+  { key: 'downloads', label: 'Downloads' },
+  { key: 'completionNumbers', label: 'Completions' },
+  { key: 'subscribersGained', label: 'Subscribers' },
+  { key: 'socialMediaShares', label: 'Shares' },
+];
+
+const average = (rows, accessor) =>
+  rows.length ? rows.reduce((sum, row) => sum + accessor(row), 0) / rows.length : 0;
+
+export const summarizeRows = (rows) => ({
+  totalEpisodes: rows.length,
+  averageDownloads: average(rows, (d) => d.downloads),
+  averageCompletionRate: average(rows, (d) => d.completionRate),
+  averageDuration: average(rows, (d) => d.durationMinutes),
+  totalSubscribers: rows.reduce((sum, d) => sum + d.subscribersGained, 0),
+});
+
+export const diffSnapshots = (baselineRows, currentRows) => {
+  const baselineByEpisode = new Map(baselineRows.map((row) => [row.episode, row]));
+  const currentEpisodes = new Set(currentRows.map((row) => row.episode));
+
+  const changed = [];
+  const added = [];
+  currentRows.forEach((row) => {
+    const before = baselineByEpisode.get(row.episode);
+    if (!before) {
+      added.push(row);
+      return;
+    }
+    const deltas = Object.fromEntries(DIFF_METRICS.map(({ key }) => [key, row[key] - before[key]]));
+    if (DIFF_METRICS.some(({ key }) => deltas[key] !== 0)) {
+      changed.push({ episode: row.episode, title: row.title, before, after: row, deltas });
+    }
+  });
+  const removed = baselineRows.filter((row) => !currentEpisodes.has(row.episode));
+
+  const totals = Object.fromEntries(
+    DIFF_METRICS.map(({ key }) => {
+      const before = baselineRows.reduce((sum, row) => sum + row[key], 0);
+      const after = currentRows.reduce((sum, row) => sum + row[key], 0);
+      return [key, { before, after, delta: after - before }];
+    }),
+  );
+
+  const baselineSummary = summarizeRows(baselineRows);
+  const currentSummary = summarizeRows(currentRows);
+  const summaryDeltas = Object.fromEntries(
+    Object.keys(currentSummary).map((key) => [key, currentSummary[key] - baselineSummary[key]]),
+  );
+
+  return {
+    changed: changed.sort((a, b) => Math.abs(b.deltas.downloads) - Math.abs(a.deltas.downloads)),
+    added,
+    removed,
+    unchangedCount: currentRows.length - added.length - changed.length,
+    totals,
+    summaryDeltas,
+  };
+};
@@ -0,0 +1,255 @@
+// Topic tagging from episode titles and descriptions, entirely local. With no custom
+// rules, topics are the distinctive terms (TF-IDF) shared by several episodes; with
+// rules, each rule's keywords decide which episodes carry its topic. Words are
+// reduced to a rough stem so "agent", "agents", and "agentic" don't split a topic.
+
+export const DEFAULT_TOPIC_RULES = [];
+
+// Automatic topics must cover at least this many episodes, and at most this share of
+// the catalog (a term on every episode doesn't tell them apart).
+const MIN_TOPIC_EPISODES = 3;
+const MAX_TOPIC_SHARE = 0.5;
+const AUTO_TOPIC_COUNT = 12;
+// Candidates whose episodes overlap an already chosen topic more than this are merged
+// into it ("machine" into "machine learning").
+const MAX_TOPIC_OVERLAP = 0.7;
+// Title words are weighted above description words; titles are written to say what
+// the episode is about.
+const TITLE_WEIGHT = 3;
+// An episode carries a topic when the term is in its title or mentioned this often in
+// the description, so a passing mention doesn't count.
+const MIN_TOPIC_MENTIONS = 2;
+// Two-word phrases ("machine learning") say more than either word alone.
+const PHRASE_WEIGHT = 2;
+
+const STOPWORDS = new Set(
+  `a about after again against all also am an and any are as at be because been before being between both but by
+  can could did do does doing down during each even every few for from further had has have having he her here hers
+  him his how however i if in into is it its itself just less like many may me might more most much must my new no
+  nor not now of off on once only or other our ours out over own per rather same she should so some such than that
+  the their theirs them then there these they this those through to too under until up upon us very via was we well
+  were what when where whether which while who whom whose why will with within without would yet you your
+  explain explains explore explores discuss discusses talk talks join joins share shares guest guests episode
+  lead head founder director engineer researcher ceo cto chief senior manager officer architect scientist analyst
+  next how what why today`.split(/\s+/),
+);
+
+// Suffix → replacement. "-ation" becomes "-at" so "automation" meets "automated".
+const SUFFIXES = [
+  ['ations', 'at'],
+  ['ation', 'at'],
+  ['ings', ''],
+  ['ing', ''],
+  ['ies', 'y'],
+  ['ied', 'y'],
+  ['ers', ''],
+  ['er', ''],
+  ['ed', ''],
+  ['es', ''],
+  ['s', ''],
+];
+
+// Crude suffix stripping; good enough to group inflections without a dictionary.
+const stem = (word) => {
+  const match = SUFFIXES.find(([ending]) => word.endsWith(ending) && word.length - ending.length >= 4);
+  if (!match || (match[0] === 's' && word.endsWith('ss'))) {
+    return word;
+  }
+  const [ending, replacement] = match;
+  return word.slice(0, -ending.length) + replacement;
+};
+
+// Words in order, with stopwords kept as `null` so phrases never span them.
+const words = (text) =>
+  (text.toLowerCase().match(/[a-z0-9][a-z0-9'-]*/g) ?? []).map((word) => {
+    const clean = word.replace(/'s$/, '').replace(/^-+|-+$/g, '');
+    return clean.length < 2 || STOPWORDS.has(clean) || /^\d+$/.test(clean) ? null : clean;
+  });
+
+// Stemmed unigrams and adjacent-word bigrams with their weighted counts. The surface
+// forms seen for each term are tallied into the catalog-wide `labels` so topics can be
+// labelled with real words.
+const extractTerms = (episode, labels) => {
+  const counts = new Map();
+  const add = (sequence, weight) => {
+    sequence.forEach((word, index) => {
+      if (!word) {
+        return;
+      }
+      const terms = [[stem(word), word]];
+      const next = sequence[index + 1];
+      if (next) {
+        terms.push([`${stem(word)} ${stem(next)}`, `${word} ${next}`]);
+      }
+      terms.forEach(([term, label]) => {
+        counts.set(term, (counts.get(term) ?? 0) + weight);
+        const termLabels = labels.get(term) ?? new Map();
+        termLabels.set(label, (termLabels.get(label) ?? 0) + 1);
+        labels.set(term, termLabels);
+      });
+    });
+  };
+  add(words(episode.title ?? ''), TITLE_WEIGHT);
+  add(words(episode.description ?? ''), 1);
+  return counts;
+};
+
+// Stemmed form of a rule keyword, matched against an episode's terms. Keywords of
+// more than two words are matched on their first two.
+const keywordTerm = (keyword) =>
+  words(keyword)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(stem)
+    .join(' ');
+
+export const isValidTopicRules = (rules) =>
+  Array.isArray(rules) &&
+  rules.every(
+    (rule) =>
+      typeof rule?.name === 'string' &&
+      rule.name.trim() &&
+      Array.isArray(rule.keywords) &&
+      rule.keywords.length > 0 &&
+      rule.keywords.every((keyword) => typeof keyword === 'string' && keywordTerm(keyword)),
+  );
+
+const mentions = (counts, term) => (counts.get(term) ?? 0) >= MIN_TOPIC_MENTIONS;
+
+// "ml" → "ML", "robotics" → "Robotics".
+const topicName = (label) => (label.length <= 2 ? label.toUpperCase() : label.charAt(0).toUpperCase() + label.slice(1));
+
+const mostCommon = (labels) => [...labels.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+const overlap = (a, b) => {
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  smaller.forEach((episode) => {
+    if (larger.has(episode)) shared += 1;
+  });
+  return shared / smaller.size;
+};
+
+// Single words ending in "-ing" or "-ed" are mostly verbs ("Securing APIs", "Agents
+// transforming logistics"), which say what an episode does rather than what it's about.
+const isVerbForm = (label) => !label.includes(' ') && /^[a-z0-9'-]{4,}(ing|ed)$/.test(label);
+
+// "ml" stands for "machine learning". Such pairs rarely share episodes, since titles
+// use one or the other, so overlap alone doesn't merge them.
+const isAcronym = (short, phrase) =>
+  /^[a-z]{2,4}$/.test(short) && phrase.includes(' ') && phrase.split(' ').map((word) => word[0]).join('') === short;
+
+// Picks the highest-scoring terms by summed TF-IDF, merging near-duplicates into the
+// topic they repeat.
+const automaticTopics = (extracted, labels, episodes) => {
+  const n = episodes.length;
+  const documentFrequency = new Map();
+  const membersByTerm = new Map();
+  extracted.forEach((counts, index) => {
+    counts.forEach((_, term) => {
+      documentFrequency.set(term, (documentFrequency.get(term) ?? 0) + 1);
+      if (mentions(counts, term)) {
+        const members = membersByTerm.get(term) ?? new Set();
+        members.add(episodes[index].episode);
+        membersByTerm.set(term, members);
+      }
+    });
+  });
+
+  const scores = new Map();
+  extracted.forEach((counts) => {
+    const length = [...counts.values()].reduce((sum, count) => sum + count, 0) || 1;
+    counts.forEach((count, term) => {
+      const df = documentFrequency.get(term);
+      if (df < MIN_TOPIC_EPISODES || df > n * MAX_TOPIC_SHARE) {
+        return;
+      }
+      const weight = term.includes(' ') ? PHRASE_WEIGHT : 1;
+      scores.set(term, (scores.get(term) ?? 0) + weight * (count / length) * Math.log(n / df));
+    });
+  });
+
+  const chosen = [];
+  [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .some(([term]) => {
+      const label = mostCommon(labels.get(term));
+      const members = membersByTerm.get(term);
+      if (isVerbForm(label) || !members) {
+        return false;
+      }
+      const duplicate = chosen.find(
+        (topic) =>
+          overlap(topic.members, members) > MAX_TOPIC_OVERLAP ||
+          topic.keywords.some((keyword) => isAcronym(keyword, label) || isAcronym(label, keyword)),
+      );
+      if (duplicate) {
+        duplicate.keywords.push(label);
+        duplicate.terms.push(term);
+        duplicate.members = new Set([...duplicate.members, ...members]);
+      } else {
+        chosen.push({ name: topicName(label), keywords: [label], terms: [term], members });
+      }
+      return chosen.length >= AUTO_TOPIC_COUNT;
+    });
+  return chosen;
+};
+
+const customTopics = (rules) =>
+  rules.map((rule) => ({ name: rule.name.trim(), keywords: rule.keywords, terms: rule.keywords.map(keywordTerm) }));
+
+// Returns { source: 'automatic' | 'custom', topics, byEpisode }, where topics are
+// { name, keywords } and byEpisode maps episode number → topic names. Empty `rules`
+// means automatic topics.
+export const assignTopics = (episodes, rules = DEFAULT_TOPIC_RULES) => {
+  const labels = new Map();
+  const extracted = episodes.map((episode) => extractTerms(episode, labels));
+  const source = rules.length ? 'custom' : 'automatic';
+  const topics = source === 'custom' ? customTopics(rules) : automaticTopics(extracted, labels, episodes);
+  const byEpisode = new Map(
+    episodes.map((episode, index) => [
+      episode.episode,
+      topics
+        .filter((topic) => topic.terms.some((term) => mentions(extracted[index], term)))
+        .map((topic) => topic.name),
+    ]),
+  );
+  return { source, topics: topics.map(({ name, keywords }) => ({ name, keywords })), byEpisode };
+};
+
+const average = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+// Subscribers gained per 1,000 downloads, pooled over the episodes.
+const conversion = (episodes) => {
+  const downloads = episodes.reduce((sum, d) => sum + d.downloads, 0);
+  return downloads === 0 ? 0 : (episodes.reduce((sum, d) => sum + d.subscribersGained, 0) / downloads) * 1000;
+};
+
+const metricsFor = (episodes) => ({
+  downloads: average(episodes.map((d) => d.downloads)),
+  completionRate: average(episodes.map((d) => d.completionRate)),
+  conversion: conversion(episodes),
+});
+
+// Per-topic performance next to the catalog as a whole. `episodes` must already carry
+// their `topics`. Topics are ordered by episode count; ones matching nothing are kept
+// so a custom rule that never fires is visible.
+export const summarizeTopics = ({ source, topics }, episodes) => {
+  const catalog = metricsFor(episodes);
+  return {
+    source,
+    catalog,
+    untagged: episodes.filter((d) => !d.topics.length).length,
+    topics: topics
+      .map((topic) => {
+        const members = episodes.filter((d) => d.topics.includes(topic.name));
+        return {
+          ...topic,
+          episodes: members.map((d) => d.episode),
+          count: members.length,
+          metrics: members.length ? metricsFor(members) : null,
+        };
+      })
+      .sort((a, b) => b.count - a.count),
+  };
+};